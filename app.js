@@ -37,6 +37,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const accountDataCard = document.getElementById('accountDataCard');
             const entityIdInput = document.getElementById('entityId');
             const fetchAccountsBtn = document.getElementById('fetchAccountsBtn');
+            const fetchIdentityBtn = document.getElementById('fetchIdentityBtn');
 
             if (data.entity_id && data.customer_id) {
                 // Show and populate Step 3: Manage Consents
@@ -49,6 +50,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 accountDataCard.style.display = 'block';
                 entityIdInput.value = data.entity_id;
                 fetchAccountsBtn.disabled = false;
+                fetchIdentityBtn.disabled = false;
             }
         }
 
@@ -773,6 +775,17 @@ document.addEventListener('DOMContentLoaded', function() {
     const entityIdInput = document.getElementById('entityId');
     const accountsList = document.getElementById('accountsList');
 
+    const fetchIdentityBtn = document.getElementById('fetchIdentityBtn');
+    if (fetchIdentityBtn) {
+        fetchIdentityBtn.addEventListener('click', function() {
+            if (!entityIdInput.value) {
+                alert('❌ No entity ID available. Please connect a bank account first.');
+                return;
+            }
+            fetchIdentity(entityIdInput.value);
+        });
+    }
+
     if (fetchAccountsBtn) {
         fetchAccountsBtn.addEventListener('click', async function() {
             const entityId = entityIdInput.value;
@@ -787,12 +800,7 @@ document.addEventListener('DOMContentLoaded', function() {
             accountsList.innerHTML = '<p>Loading accounts...</p>';
 
             try {
-                const response = await fetch(`http://localhost:8000/api/accounts?entity_id=${entityId}`);
-                const data = await response.json();
-
-                if (!response.ok) {
-                    throw new Error(data.error || 'Failed to fetch accounts');
-                }
+                const data = await fetchLeanData(`http://localhost:8000/api/accounts?entity_id=${entityId}`, 'Failed to fetch accounts');
 
                 console.log('📊 Accounts Data:', data);
                 console.log('📊 Full Response Structure:', JSON.stringify(data, null, 2));
@@ -830,6 +838,20 @@ document.addEventListener('DOMContentLoaded', function() {
                                 <button class="connect-btn" onclick="fetchTransactions('${accountId}', '${entityId}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, #f093fb, #f5576c);">
                                     📋 Get Transactions
                                 </button>
+                                <div style="margin-top: 10px;">
+                                    <button class="connect-btn" onclick="fetchAccountResource('${accountId}', '${entityId}', 'scheduled-payments')" style="margin: 5px 5px 0 0; padding: 8px 14px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #4fd1c5, #319795);">
+                                        🗓️ Scheduled Payments
+                                    </button>
+                                    <button class="connect-btn" onclick="fetchAccountResource('${accountId}', '${entityId}', 'standing-orders')" style="margin: 5px 5px 0 0; padding: 8px 14px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #4fd1c5, #319795);">
+                                        🔁 Standing Orders
+                                    </button>
+                                    <button class="connect-btn" onclick="fetchAccountResource('${accountId}', '${entityId}', 'direct-debits')" style="margin: 5px 5px 0 0; padding: 8px 14px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #4fd1c5, #319795);">
+                                        🧾 Direct Debits
+                                    </button>
+                                    <button class="connect-btn" onclick="fetchAccountResource('${accountId}', '${entityId}', 'beneficiaries')" style="margin: 5px 5px 0 0; padding: 8px 14px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #4fd1c5, #319795);">
+                                        👥 Beneficiaries
+                                    </button>
+                                </div>
                                 <div id="account-data-${accountId}" style="margin-top: 15px;"></div>
                             </div>
                         `;
@@ -860,6 +882,111 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// Async mode polling (see fetchLeanData)
+const LEAN_RESULTS_POLL_MS = 2000;
+const LEAN_RESULTS_MAX_POLLS = 60;
+
+/**
+ * GET a Lean data route, honouring the "Async mode" checkbox in Step 4
+ * In async mode the route answers 202 with a results ID and we poll
+ * /api/lean/results/:id until Lean has finished, then return its response.
+ */
+async function fetchLeanData(url, errorMessage, allowAsync = true) {
+    const asyncMode = allowAsync && document.getElementById('leanAsyncMode')?.checked;
+    const response = await fetch(asyncMode ? `${url}&async=true` : url);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || data.error || errorMessage);
+    }
+    if (response.status !== 202) {
+        return data;
+    }
+
+    console.log('⏳ Lean request pending, polling results:', data.results_id);
+
+    for (let attempt = 0; attempt < LEAN_RESULTS_MAX_POLLS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, LEAN_RESULTS_POLL_MS));
+
+        const pollResponse = await fetch(`http://localhost:8000${data.poll_url}`);
+        const job = await pollResponse.json();
+
+        if (!pollResponse.ok) {
+            throw new Error(job.error || errorMessage);
+        }
+        if (job.status === 'READY') {
+            return job.result;
+        }
+        if (job.status === 'FAILED') {
+            throw new Error(job.result?.message || errorMessage);
+        }
+    }
+
+    throw new Error(`Lean is still working on it - results ID ${data.results_id}`);
+}
+
+/**
+ * Fetch Identity for the connected entity (used for KYC matching)
+ */
+async function fetchIdentity(entityId) {
+    const fetchIdentityBtn = document.getElementById('fetchIdentityBtn');
+    const container = document.getElementById('identityDetails');
+
+    fetchIdentityBtn.disabled = true;
+    fetchIdentityBtn.textContent = '⏳ Fetching Identity...';
+    container.innerHTML = '<p>⏳ Loading identity...</p>';
+
+    try {
+        const data = await fetchLeanData(`http://localhost:8000/api/identity?entity_id=${entityId}`, 'Failed to fetch identity');
+
+        console.log('🪪 Identity Data:', data);
+
+        // Lean nests the identity under data.data (v2) or payload (v1)
+        const identity = data.data?.identity || data.data || data.payload || {};
+        const address = identity.address || {};
+        const addressText = typeof address === 'string'
+            ? address
+            : [address.address_line || address.street_name, address.building_number, address.district, address.city || address.town_name, address.postal_code || address.post_code, address.country]
+                .filter(Boolean)
+                .join(', ');
+
+        const fields = [
+            ['Full Name', identity.full_name || identity.name],
+            ['National ID', identity.national_id || identity.national_identity_number || identity.identity_number],
+            ['Date of Birth', identity.birth_date || identity.date_of_birth],
+            ['Gender', identity.gender],
+            ['Mobile', identity.mobile_number || identity.phone_number],
+            ['Email', identity.email_address || identity.email],
+            ['Address', addressText]
+        ].filter(([, value]) => value);
+
+        let html = '<div style="background: #e6fffa; padding: 20px; border-radius: 10px; border-left: 4px solid #319795;">';
+        html += '<h3 style="margin-top: 0;">🪪 Account Holder Identity</h3>';
+
+        if (fields.length > 0) {
+            for (const [label, value] of fields) {
+                html += `<p style="margin: 8px 0;"><strong>${label}:</strong> ${value}</p>`;
+            }
+        } else {
+            html += '<p style="color: #d97706;">⚠️ No identity details found in the response</p>';
+        }
+
+        html += '<details style="margin-top: 10px;">';
+        html += '<summary style="cursor: pointer; font-weight: bold;">📋 View Full API Response</summary>';
+        html += '<pre style="background: white; padding: 10px; border-radius: 5px; overflow-x: auto; margin-top: 5px; font-size: 0.75em;">' + JSON.stringify(data, null, 2) + '</pre>';
+        html += '</details>';
+        html += '</div>';
+        container.innerHTML = html;
+
+    } catch (error) {
+        console.error('❌ Error fetching identity:', error);
+        container.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+
+    fetchIdentityBtn.disabled = false;
+    fetchIdentityBtn.textContent = '🪪 Fetch Identity';
+}
+
 /**
  * Fetch Balances for Account
  */
@@ -868,12 +995,7 @@ async function fetchBalances(accountId, entityId) {
     container.innerHTML = '<p>⏳ Loading balances...</p>';
 
     try {
-        const response = await fetch(`http://localhost:8000/api/accounts/${accountId}/balances?entity_id=${entityId}`);
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.message || data.error || 'Failed to fetch balances');
-        }
+        const data = await fetchLeanData(`http://localhost:8000/api/accounts/${accountId}/balances?entity_id=${entityId}`, 'Failed to fetch balances');
 
         console.log('💰 Balances Data:', data);
         console.log('💰 Full Response Structure:', JSON.stringify(data, null, 2));
@@ -924,34 +1046,68 @@ async function fetchBalances(accountId, entityId) {
 
 /**
  * Fetch Transactions for Account
+ * Renders date range / page size controls above the results the first time.
  */
 async function fetchTransactions(accountId, entityId) {
     const container = document.getElementById(`account-data-${accountId}`);
-    container.innerHTML = '<p>⏳ Loading transactions...</p>';
 
-    try {
-        const response = await fetch(`http://localhost:8000/api/accounts/${accountId}/transactions?entity_id=${entityId}`);
-        const data = await response.json();
+    container.innerHTML = `
+        <div style="background: #fff5f5; padding: 15px; border-radius: 8px; margin-top: 10px;">
+            <h5 style="margin-top: 0; color: #c53030;">📋 Transactions</h5>
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: flex-end;">
+                <label style="font-size: 0.85em;">From<br><input type="date" id="txn-from-${accountId}"></label>
+                <label style="font-size: 0.85em;">To<br><input type="date" id="txn-to-${accountId}"></label>
+                <label style="font-size: 0.85em;">Page size<br>
+                    <select id="txn-size-${accountId}">
+                        <option value="25">25</option>
+                        <option value="50" selected>50</option>
+                        <option value="100">100</option>
+                    </select>
+                </label>
+                <button class="connect-btn" onclick="loadTransactionsPage('${accountId}', '${entityId}', 0)" style="padding: 8px 14px; font-size: 0.85em; width: auto;">🔍 Apply</button>
+                <button class="connect-btn" onclick="loadTransactionsPage('${accountId}', '${entityId}', 0, true)" style="padding: 8px 14px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #f093fb, #f5576c);">📚 Load All Pages</button>
+            </div>
+            <div id="txn-results-${accountId}" style="margin-top: 15px; max-height: 400px; overflow-y: auto;"></div>
+        </div>
+    `;
+
+    await loadTransactionsPage(accountId, entityId, 0);
+}
 
-        if (!response.ok) {
-            throw new Error(data.message || data.error || 'Failed to fetch transactions');
-        }
+/**
+ * Load one page (or every page) of transactions using the controls rendered by fetchTransactions()
+ */
+async function loadTransactionsPage(accountId, entityId, page, all = false) {
+    const results = document.getElementById(`txn-results-${accountId}`);
+    const fromDate = document.getElementById(`txn-from-${accountId}`).value;
+    const toDate = document.getElementById(`txn-to-${accountId}`).value;
+    const size = document.getElementById(`txn-size-${accountId}`).value;
+
+    results.innerHTML = `<p>⏳ Loading ${all ? 'all transactions' : 'transactions'}...</p>`;
+
+    const params = new URLSearchParams({ entity_id: entityId, size: size });
+    if (fromDate) params.append('from_date', fromDate);
+    if (toDate) params.append('to_date', toDate);
+    if (all) {
+        params.append('all', 'true');
+    } else {
+        params.append('page', page);
+    }
+
+    try {
+        // "All pages" is walked server-side and always synchronous
+        const data = await fetchLeanData(`http://localhost:8000/api/accounts/${accountId}/transactions?${params}`, 'Failed to fetch transactions', !all);
 
         console.log('📋 Transactions Data:', data);
-        console.log('📋 Full Response Structure:', JSON.stringify(data, null, 2));
 
         // The Lean API returns transactions in data.data.transactions
-        // Structure matches balance: data.data.transactions (array of transaction objects)
         const transactions = data.data?.transactions || [];
+        const pageInfo = data.page || data.data?.page || {};
 
-        console.log('📋 Parsed Transactions Array:', transactions);
-        console.log('📋 Transactions Length:', transactions.length);
-
-        let html = '<div style="background: #fff5f5; padding: 15px; border-radius: 8px; margin-top: 10px; max-height: 400px; overflow-y: auto;">';
-        html += '<h5 style="margin-top: 0; color: #c53030;">📋 Recent Transactions</h5>';
+        let html = '';
 
         if (transactions && transactions.length > 0) {
-            for (const txn of transactions.slice(0, 10)) {
+            for (const txn of transactions) {
                 const description = txn.transaction_information || txn.description || txn.merchant?.name || 'Transaction';
                 const amount = txn.amount?.amount || txn.amount || '0';
                 const currency = txn.amount?.currency || txn.currency || 'SAR';
@@ -974,14 +1130,29 @@ async function fetchTransactions(accountId, entityId) {
                     </div>
                 `;
             }
-            if (transactions.length > 10) {
-                html += `<p style="margin-top: 10px; color: #718096;">... and ${transactions.length - 10} more transactions</p>`;
+
+            if (all) {
+                html += `<p style="margin-top: 10px; color: #718096;">${transactions.length} transactions across ${pageInfo.pages_fetched} pages</p>`;
+                if (pageInfo.truncated) {
+                    html += '<p style="color: #d97706;">⚠️ Stopped at the page limit - narrow the date range to see older transactions</p>';
+                }
+            } else {
+                const totalPages = pageInfo.total_pages;
+                html += '<div style="display: flex; gap: 10px; align-items: center; margin-top: 10px;">';
+                if (page > 0) {
+                    html += `<button class="connect-btn" onclick="loadTransactionsPage('${accountId}', '${entityId}', ${page - 1})" style="padding: 6px 12px; font-size: 0.85em; width: auto;">← Previous</button>`;
+                }
+                html += `<span style="color: #718096;">Page ${page + 1}${totalPages ? ' of ' + totalPages : ''}</span>`;
+                if (totalPages ? page + 1 < totalPages : transactions.length === Number(size)) {
+                    html += `<button class="connect-btn" onclick="loadTransactionsPage('${accountId}', '${entityId}', ${page + 1})" style="padding: 6px 12px; font-size: 0.85em; width: auto;">Next →</button>`;
+                }
+                html += '</div>';
             }
         } else {
             // Check if API returned successfully but with empty transactions array
             if (data.status === 'OK' && data.type === 'transactions') {
                 html += '<p style="color: #10b981;">✅ API call successful - No transactions found for this account</p>';
-                html += '<p style="font-size: 0.9em; color: #6b7280;">This account may be new or have no transaction history in the sandbox environment.</p>';
+                html += '<p style="font-size: 0.9em; color: #6b7280;">Try a wider date range, or this account may have no transaction history in the sandbox environment.</p>';
             } else {
                 html += '<p style="color: #d97706;">⚠️ No transaction data available</p>';
                 html += '<p style="font-size: 0.9em; color: #6b7280;">The API response may not contain transaction data.</p>';
@@ -992,11 +1163,111 @@ async function fetchTransactions(accountId, entityId) {
             html += '</details>';
         }
 
+        results.innerHTML = html;
+
+    } catch (error) {
+        console.error('❌ Error fetching transactions:', error);
+        results.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+}
+
+// Per-account Lean data resources: response key, heading and the fields worth showing
+const ACCOUNT_RESOURCES = {
+    'scheduled-payments': {
+        key: 'scheduled_payments',
+        title: '🗓️ Scheduled Payments',
+        describe: item => [
+            ['Reference', item.reference || item.scheduled_payment_id],
+            ['Amount', formatLeanAmount(item.instructed_amount || item.amount)],
+            ['Execution Date', item.scheduled_payment_date_time || item.execution_date],
+            ['Creditor', item.creditor_account?.[0]?.name || item.creditor_account?.name]
+        ]
+    },
+    'standing-orders': {
+        key: 'standing_orders',
+        title: '🔁 Standing Orders',
+        describe: item => [
+            ['Reference', item.reference || item.standing_order_id],
+            ['Frequency', item.frequency],
+            ['Next Payment', [formatLeanAmount(item.next_payment_amount), item.next_payment_date_time].filter(Boolean).join(' on ')],
+            ['Status', item.standing_order_status_code || item.status],
+            ['Creditor', item.creditor_account?.[0]?.name || item.creditor_account?.name]
+        ]
+    },
+    'direct-debits': {
+        key: 'direct_debits',
+        title: '🧾 Direct Debits',
+        describe: item => [
+            ['Name', item.name || item.mandate_identification || item.direct_debit_id],
+            ['Status', item.direct_debit_status_code || item.status],
+            ['Last Payment', [formatLeanAmount(item.previous_payment_amount), item.previous_payment_date_time].filter(Boolean).join(' on ')]
+        ]
+    },
+    'beneficiaries': {
+        key: 'beneficiaries',
+        title: '👥 Beneficiaries',
+        describe: item => [
+            ['Name', item.creditor_account?.[0]?.name || item.creditor_account?.name || item.name],
+            ['Reference', item.reference || item.beneficiary_id],
+            ['Account', item.creditor_account?.[0]?.identification || item.creditor_account?.identification]
+        ]
+    }
+};
+
+/**
+ * Format a Lean amount object ({ amount, currency }) or plain number
+ */
+function formatLeanAmount(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return `${value.amount} ${value.currency || 'SAR'}`;
+    }
+    return `${value} SAR`;
+}
+
+/**
+ * Fetch a per-account Lean data resource (scheduled payments, standing orders, direct debits, beneficiaries)
+ */
+async function fetchAccountResource(accountId, entityId, resource) {
+    const { key, title, describe } = ACCOUNT_RESOURCES[resource];
+    const container = document.getElementById(`account-data-${accountId}`);
+    container.innerHTML = `<p>⏳ Loading ${title.toLowerCase()}...</p>`;
+
+    try {
+        const data = await fetchLeanData(`http://localhost:8000/api/accounts/${accountId}/${resource}?entity_id=${entityId}`, `Failed to fetch ${resource}`);
+
+        console.log(`${title} Data:`, data);
+
+        const items = data.data?.[key] || [];
+
+        let html = '<div style="background: #e6fffa; padding: 15px; border-radius: 8px; margin-top: 10px; max-height: 400px; overflow-y: auto;">';
+        html += `<h5 style="margin-top: 0; color: #2c7a7b;">${title} (${items.length})</h5>`;
+
+        if (items.length > 0) {
+            for (const item of items) {
+                html += '<div style="border-bottom: 1px solid #b2f5ea; padding: 10px 0;">';
+                for (const [label, value] of describe(item)) {
+                    if (value) {
+                        html += `<p style="margin: 4px 0;"><strong>${label}:</strong> ${value}</p>`;
+                    }
+                }
+                html += '</div>';
+            }
+        } else {
+            html += `<p style="color: #6b7280;">No ${resource.replace('-', ' ')} on this account.</p>`;
+        }
+
+        html += '<details style="margin-top: 10px;">';
+        html += '<summary style="cursor: pointer; font-weight: bold;">📋 View Full API Response</summary>';
+        html += '<pre style="background: white; padding: 10px; border-radius: 5px; overflow-x: auto; margin-top: 5px; font-size: 0.75em;">' + JSON.stringify(data, null, 2) + '</pre>';
+        html += '</details>';
         html += '</div>';
         container.innerHTML = html;
 
     } catch (error) {
-        console.error('❌ Error fetching transactions:', error);
+        console.error(`❌ Error fetching ${resource}:`, error);
         container.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
     }
 }
@@ -1044,3 +1315,174 @@ async function deleteConsent(consentId) {
     }
 }
 
+/**
+ * Customer shown in the consent dashboard (input, else the Step 1 customer)
+ */
+function dashboardCustomerId() {
+    return document.getElementById('dashboardCustomerId').value.trim() || currentCustomerId;
+}
+
+/**
+ * Show connections the server-side consent monitor flagged as expiring soon
+ */
+async function loadExpiringConsents() {
+    const alertDiv = document.getElementById('expiringConsentsAlert');
+
+    try {
+        const response = await fetch('http://localhost:8000/api/lean/consents/expiring');
+        const data = await response.json();
+
+        if (!response.ok || data.count === 0) {
+            alertDiv.innerHTML = '';
+            return;
+        }
+
+        alertDiv.innerHTML = `
+            <div style="background: #fffaf0; padding: 15px; border-radius: 8px; border-left: 4px solid #ed8936; margin-bottom: 15px;">
+                <strong>⚠️ ${data.count} connection(s) have consents expiring within ${data.warning_days} days</strong>
+                ${data.connections.map(connection => `
+                    <p style="margin: 5px 0; font-size: 0.9em;">${connection.bank_identifier || connection.entity_id} - expires ${new Date(connection.consent_expires_at).toLocaleDateString()}</p>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('❌ Error loading expiring consents:', error);
+    }
+}
+
+/**
+ * Load every entity of the customer with its consents
+ */
+async function loadConsentDashboard() {
+    const dashboard = document.getElementById('consentDashboard');
+    const revokeButton = document.getElementById('revokeSelectedConsentsBtn');
+    const customerId = dashboardCustomerId();
+    const warningDays = document.getElementById('dashboardWarningDays').value || '7';
+
+    if (!customerId) {
+        alert('❌ Initialize a customer in Step 1 first (or enter a customer ID).');
+        return;
+    }
+
+    dashboard.innerHTML = '<p>⏳ Loading consents...</p>';
+    revokeButton.style.display = 'none';
+
+    try {
+        const response = await fetch(`http://localhost:8000/api/lean/customers/${customerId}/consents?days=${warningDays}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load consent dashboard');
+        }
+
+        if (data.entities.length === 0) {
+            dashboard.innerHTML = '<p style="color: #718096;">No connected banks saved for this customer yet.</p>';
+            return;
+        }
+
+        let html = '';
+        let revocable = 0;
+
+        for (const entity of data.entities) {
+            html += `
+                <div style="background: #f7fafc; padding: 15px; border-radius: 10px; margin: 15px 0; border-left: 4px solid ${entity.connection_status === 'DISCONNECTED' ? '#c53030' : '#667eea'};">
+                    <h4 style="margin-top: 0;">🏦 ${entity.bank_identifier || 'Bank'} <span style="font-size: 0.8em; color: #718096;">(${entity.connection_status})</span></h4>
+                    <p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Entity: <code>${entity.entity_id}</code></p>
+            `;
+
+            if (entity.error) {
+                html += `<p style="color: #f56565;">❌ ${entity.error}</p>`;
+            } else if (entity.consents.length === 0) {
+                html += '<p style="color: #718096;">No consents.</p>';
+            }
+
+            for (const consent of entity.consents) {
+                const active = consent.status === 'ACTIVE' || consent.status === 'AUTHORISED';
+                const statusColor = active ? (consent.expiring_soon ? '#ed8936' : '#38a169') : '#e53e3e';
+                if (active) revocable++;
+
+                html += `
+                    <div style="border-top: 1px solid #e2e8f0; padding: 10px 0;">
+                        <label style="display: flex; gap: 10px; align-items: flex-start; cursor: ${active ? 'pointer' : 'default'};">
+                            <input type="checkbox" class="consent-select" data-entity-id="${entity.entity_id}" data-consent-id="${consent.consent_id}" ${active ? '' : 'disabled'} style="width: auto; margin-top: 4px;">
+                            <span>
+                                <strong>${consent.consent_id}</strong>
+                                <span style="color: ${statusColor}; font-weight: bold;"> • ${consent.status}</span>
+                                ${consent.expiring_soon ? `<span style="color: #ed8936;"> • ⚠️ expires in ${consent.days_left} day(s)</span>` : ''}<br>
+                                <span style="font-size: 0.85em; color: #718096;">Expires: ${consent.expires_at ? new Date(consent.expires_at).toLocaleString() : 'N/A'}</span><br>
+                                <span style="font-size: 0.85em; color: #718096;">Permissions: ${consent.permissions.join(', ') || 'None'}</span>
+                            </span>
+                        </label>
+                    </div>
+                `;
+            }
+
+            html += '</div>';
+        }
+
+        dashboard.innerHTML = html;
+        revokeButton.style.display = revocable > 0 ? 'block' : 'none';
+
+    } catch (error) {
+        console.error('❌ Error loading consent dashboard:', error);
+        dashboard.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+}
+
+/**
+ * Revoke every checked consent in the dashboard
+ */
+async function revokeSelectedConsents() {
+    const selected = [...document.querySelectorAll('.consent-select:checked')].map(checkbox => ({
+        entity_id: checkbox.dataset.entityId,
+        consent_id: checkbox.dataset.consentId
+    }));
+
+    if (selected.length === 0) {
+        alert('Select at least one consent to revoke.');
+        return;
+    }
+    if (!confirm(`⚠️ Revoke ${selected.length} consent(s)? The bank connections will stop returning data.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`http://localhost:8000/api/lean/customers/${dashboardCustomerId()}/consents/revoke`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ consents: selected, reason: 'USER_REQUESTED' })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to revoke consents');
+        }
+
+        const failed = data.results.filter(result => !result.success);
+        alert(failed.length === 0
+            ? `✅ Revoked ${data.revoked} consent(s)`
+            : `⚠️ Revoked ${data.revoked}, failed ${failed.length}:\n` + failed.map(result => `${result.consent_id}: ${result.error}`).join('\n'));
+
+        await loadConsentDashboard();
+    } catch (error) {
+        console.error('❌ Error revoking consents:', error);
+        alert('❌ Error revoking consents: ' + error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const loadButton = document.getElementById('loadConsentDashboardBtn');
+    const revokeButton = document.getElementById('revokeSelectedConsentsBtn');
+
+    if (loadButton) {
+        loadButton.addEventListener('click', () => {
+            loadExpiringConsents();
+            loadConsentDashboard();
+        });
+    }
+    if (revokeButton) {
+        revokeButton.addEventListener('click', revokeSelectedConsents);
+    }
+});
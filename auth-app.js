@@ -0,0 +1,92 @@
+/**
+ * App Sign-In - Frontend Logic
+ * Session cookie based; every other tab's API calls rely on this session
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const signedOutDiv = document.getElementById('authSignedOut');
+    const signedInDiv = document.getElementById('authSignedIn');
+    const usernameInput = document.getElementById('authUsername');
+    const passwordInput = document.getElementById('authPassword');
+    const errorText = document.getElementById('authError');
+
+    /**
+     * Show the signed-in or signed-out view
+     */
+    function renderSession(user) {
+        signedOutDiv.style.display = user ? 'none' : 'block';
+        signedInDiv.style.display = user ? 'flex' : 'none';
+        document.getElementById('authUsernameLabel').textContent = user ? user.username : '';
+        errorText.style.display = 'none';
+    }
+
+    function showError(message) {
+        errorText.textContent = '❌ ' + message;
+        errorText.style.display = 'block';
+    }
+
+    /**
+     * POST credentials to an auth endpoint
+     */
+    async function submitCredentials(path) {
+        const response = await fetch(`http://localhost:8000/api/auth/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: usernameInput.value.trim(),
+                password: passwordInput.value
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+
+    async function login() {
+        try {
+            const data = await submitCredentials('login');
+            console.log('✅ Signed in as', data.user.username);
+            passwordInput.value = '';
+            renderSession(data.user);
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    async function register() {
+        try {
+            await submitCredentials('register');
+            console.log('👤 Account created');
+            await login();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    async function logout() {
+        await fetch('http://localhost:8000/api/auth/logout', { method: 'POST' });
+        console.log('👋 Signed out');
+
+        // Browser-side references belong to the previous user
+        localStorage.removeItem('plaid_connection_id');
+        renderSession(null);
+    }
+
+    document.getElementById('authLoginBtn').addEventListener('click', login);
+    document.getElementById('authRegisterBtn').addEventListener('click', register);
+    document.getElementById('authLogoutBtn').addEventListener('click', logout);
+    passwordInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') login();
+    });
+
+    // Restore an existing session
+    fetch('http://localhost:8000/api/auth/session')
+        .then(response => response.json())
+        .then(data => renderSession(data.authenticated ? data.user : null))
+        .catch(error => console.error('❌ Failed to load session:', error));
+});
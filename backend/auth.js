@@ -0,0 +1,200 @@
+/**
+ * App User Authentication
+ * Password accounts with cookie sessions, plus API keys for server-to-server callers
+ */
+
+const crypto = require('crypto');
+const { AUTH_CONFIG } = require('./config');
+const { parseCookies, httpError } = require('./router');
+const { storage } = require('./storage');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Active user sessions (id -> session)
+const userSessions = new Map();
+
+/**
+ * Hash a password with a random salt (stored as scrypt:<salt>:<hash>)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+// Compared against when the username does not exist
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Compare two secrets without leaking their contents through timing
+ */
+function secretsMatch(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Public view of a user
+ */
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        created_at: user.created_at
+    };
+}
+
+/**
+ * Whether a username belongs to an API key in API_KEYS
+ */
+function isApiKeyUser(username) {
+    return AUTH_CONFIG.api_keys.some(entry => entry.username === username);
+}
+
+/**
+ * Create the account behind each API key that does not exist yet (no password, so no browser sign-in)
+ * Otherwise whoever registered that username first would own everything the key touches.
+ */
+async function ensureApiKeyUsers() {
+    for (const username of new Set(AUTH_CONFIG.api_keys.map(entry => entry.username))) {
+        if (await storage.count('users', { username }) === 0) {
+            await storage.insert('users', { username: username, password_hash: null });
+            console.log(`👤 Created API key user: ${username}`);
+        }
+    }
+}
+
+/**
+ * Create a password account
+ */
+async function registerUser(username, password) {
+    if (!AUTH_CONFIG.allow_registration) {
+        throw httpError(403, 'Registration is disabled');
+    }
+    if (password.length < AUTH_CONFIG.min_password_length) {
+        throw httpError(400, `password must be at least ${AUTH_CONFIG.min_password_length} characters`);
+    }
+    // API key usernames are reserved even if their account was removed
+    if (isApiKeyUser(username) || await storage.count('users', { username }) > 0) {
+        throw httpError(409, 'Username is already taken');
+    }
+
+    return storage.insert('users', {
+        username: username,
+        password_hash: hashPassword(password)
+    });
+}
+
+/**
+ * Check credentials and open a session
+ */
+async function loginUser(username, password) {
+    const [user] = await storage.find('users', { username });
+
+    // Hash anyway for unknown users so response time does not reveal which usernames exist
+    const valid = verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+    if (!user || !valid) {
+        throw httpError(401, 'Invalid username or password');
+    }
+
+    const now = Date.now();
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const session = {
+        user_id: user.id,
+        username: user.username,
+        issued_at: new Date(now).toISOString(),
+        expires_at: new Date(now + AUTH_CONFIG.session_ttl_ms).toISOString(),
+        expires_at_ms: now + AUTH_CONFIG.session_ttl_ms
+    };
+    userSessions.set(sessionId, session);
+
+    return { session_id: sessionId, session: session, user: user };
+}
+
+/**
+ * Look up the user session attached to a request (null when absent or expired)
+ */
+function getUserSession(req) {
+    const sessionId = parseCookies(req)[AUTH_CONFIG.cookie_name];
+    const session = sessionId && userSessions.get(sessionId);
+
+    if (!session) {
+        return null;
+    }
+    if (session.expires_at_ms <= Date.now()) {
+        userSessions.delete(sessionId);
+        return null;
+    }
+    return { id: sessionId, ...session };
+}
+
+/**
+ * End a user session
+ */
+function endUserSession(sessionId) {
+    userSessions.delete(sessionId);
+}
+
+/**
+ * Resolve the caller from an API key (X-API-Key or Authorization: Bearer) or session cookie
+ */
+async function authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    const apiKey = req.headers['x-api-key'] || (authorization.startsWith('Bearer ') ? authorization.substring(7) : null);
+
+    if (apiKey) {
+        const entry = AUTH_CONFIG.api_keys.find(({ key }) => secretsMatch(key, apiKey));
+        if (!entry) {
+            throw httpError(401, 'Invalid API key');
+        }
+
+        const [user] = await storage.find('users', { username: entry.username });
+        if (!user) {
+            throw httpError(401, 'Invalid API key');
+        }
+        return { id: user.id, username: user.username, via: 'api_key' };
+    }
+
+    const session = getUserSession(req);
+    return session ? { id: session.user_id, username: session.username, via: 'session' } : null;
+}
+
+/**
+ * Middleware: reject unauthenticated callers, otherwise set req.user
+ */
+async function requireAuth(req, res, next) {
+    const user = await authenticate(req);
+    if (!user) {
+        throw httpError(401, 'Sign in required');
+    }
+    req.user = user;
+    return next();
+}
+
+module.exports = {
+    AUTH_CONFIG,
+    registerUser,
+    ensureApiKeyUsers,
+    loginUser,
+    getUserSession,
+    endUserSession,
+    authenticate,
+    requireAuth,
+    formatUser
+};
@@ -0,0 +1,91 @@
+/**
+ * JSON request body parsing middleware
+ *
+ * Rejects bodies over the size limit (413), non-JSON content types (415) and
+ * malformed JSON (400). On success sets `req.body` (parsed object, {} when empty)
+ * and `req.rawBody` (Buffer, needed for webhook signature checks).
+ */
+
+const { SERVER_CONFIG } = require('./config');
+const { httpError } = require('./router');
+
+/**
+ * Read the raw request body, failing with 413 once `limit` bytes are exceeded
+ */
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = parseInt(req.headers['content-length'], 10);
+        if (declaredLength > limit) {
+            // Drain the upload so the connection can still carry the 413 response
+            req.resume();
+            reject(httpError(413, `Request body exceeds ${limit} bytes`));
+            return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+
+            received += chunk.length;
+            if (received > limit) {
+                tooLarge = true;
+                reject(httpError(413, `Request body exceeds ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (!tooLarge) {
+                resolve(Buffer.concat(chunks));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create a JSON body parser middleware
+ * @param {Object} options
+ * @param {number} options.limit - Maximum body size in bytes
+ */
+function createJsonBodyParser({ limit = SERVER_CONFIG.max_body_bytes } = {}) {
+    return async function jsonBody(req, res, next) {
+        const rawBody = await readRawBody(req, limit);
+        req.rawBody = rawBody;
+
+        if (rawBody.length === 0) {
+            req.body = {};
+            return next();
+        }
+
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            throw httpError(415, 'Content-Type must be application/json');
+        }
+
+        try {
+            req.body = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw httpError(400, 'Request body must be valid JSON');
+        }
+
+        if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            throw httpError(400, 'Request body must be a JSON object');
+        }
+
+        return next();
+    };
+}
+
+// Default parser used by most routes
+const jsonBody = createJsonBodyParser();
+
+module.exports = {
+    createJsonBodyParser,
+    jsonBody
+};
@@ -0,0 +1,225 @@
+/**
+ * Backend configuration
+ * Loads .env and exposes the Lean and Plaid settings shared by all modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Project root (server.js and the static frontend files live here)
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Load environment variables from .env file
+function loadEnv() {
+    const envPath = path.join(ROOT_DIR, '.env');
+    if (!fs.existsSync(envPath)) {
+        console.error('❌ ERROR: .env file not found!');
+        console.error('📝 Please copy .env.example to .env and add your credentials');
+        process.exit(1);
+    }
+
+    const envFile = fs.readFileSync(envPath, 'utf8');
+    envFile.split('\n').forEach(line => {
+        line = line.trim();
+        if (line && !line.startsWith('#')) {
+            const [key, ...valueParts] = line.split('=');
+            const value = valueParts.join('=').trim();
+            if (key && value) {
+                process.env[key.trim()] = value;
+            }
+        }
+    });
+}
+
+loadEnv();
+
+/**
+ * Comma-separated environment value as a trimmed list
+ */
+function listFromEnv(name, fallback = '') {
+    return (process.env[name] || fallback)
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+// Lean API Configuration from environment variables
+const LEAN_CONFIG = {
+    client_id: process.env.LEAN_CLIENT_ID,
+    client_secret: process.env.LEAN_CLIENT_SECRET,
+    auth_url: process.env.LEAN_AUTH_URL || 'https://auth.sandbox.sa.leantech.me/oauth2/token',
+    api_url: process.env.LEAN_API_URL || 'https://sandbox.sa.leantech.me',
+    // Shared secret Lean signs webhooks with (Lean-Signature header)
+    webhook_secret: process.env.LEAN_WEBHOOK_SECRET,
+    // Consent monitor: flag consents expiring within this many days, checked every N hours (0 = off)
+    consent_warning_days: parseInt(process.env.LEAN_CONSENT_WARNING_DAYS, 10) || 7,
+    consent_check_interval_hours: process.env.LEAN_CONSENT_CHECK_INTERVAL_HOURS !== undefined
+        ? Number(process.env.LEAN_CONSENT_CHECK_INTERVAL_HOURS)
+        : 24
+};
+
+// Validate required environment variables
+if (!LEAN_CONFIG.client_id || !LEAN_CONFIG.client_secret) {
+    console.error('❌ ERROR: Missing required Lean environment variables!');
+    console.error('📝 Please ensure LEAN_CLIENT_ID and LEAN_CLIENT_SECRET are set in .env file');
+    process.exit(1);
+}
+
+// Plaid API Configuration from environment variables
+const PLAID_CONFIG = {
+    client_id: process.env.PLAID_CLIENT_ID,
+    secret: process.env.PLAID_SECRET,
+    env: process.env.PLAID_ENV || 'sandbox',
+    // Reject webhooks whose Plaid-Verification JWT was issued longer ago than this
+    webhook_max_age_seconds: parseInt(process.env.PLAID_WEBHOOK_MAX_AGE_SECONDS, 10) || 5 * 60,
+    // Webhook handlers that throw are retried with backoff, up to this many attempts in total
+    webhook_max_attempts: parseInt(process.env.PLAID_WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    // ITEM/PENDING_EXPIRATION: notify this many days before consent runs out
+    expiration_notice_days: parseInt(process.env.PLAID_EXPIRATION_NOTICE_DAYS, 10) || 3,
+    // Link token settings: clients may choose from these allowlists, and get the defaults otherwise.
+    // The first redirect URI / webhook URL is the default (each must also be registered with Plaid).
+    link: {
+        allowed_products: listFromEnv('PLAID_LINK_PRODUCTS', 'auth,transactions,identity,investments,liabilities'),
+        allowed_country_codes: listFromEnv('PLAID_LINK_COUNTRY_CODES', 'US,CA,GB'),
+        allowed_languages: listFromEnv('PLAID_LINK_LANGUAGES', 'en,es,fr'),
+        allowed_account_types: ['depository', 'credit', 'loan', 'investment', 'other'],
+        redirect_uris: listFromEnv('PLAID_REDIRECT_URIS'),
+        webhook_urls: listFromEnv('PLAID_WEBHOOK_URLS'),
+        default_products: ['auth', 'transactions'],
+        // Credit cards, student loans and mortgages, wherever the bank supports them
+        default_required_if_supported_products: ['liabilities'],
+        default_country_codes: ['US'],
+        default_language: 'en'
+    },
+    get api_url() {
+        switch (this.env) {
+            case 'production':
+                return 'https://production.plaid.com';
+            case 'development':
+                return 'https://development.plaid.com';
+            case 'sandbox':
+            default:
+                return 'https://sandbox.plaid.com';
+        }
+    }
+};
+
+// Validate Plaid environment variables (optional - only warn if missing)
+if (!PLAID_CONFIG.client_id || !PLAID_CONFIG.secret) {
+    console.warn('⚠️  WARNING: Plaid credentials not configured');
+    console.warn('📝 Set PLAID_CLIENT_ID and PLAID_SECRET in .env to enable Plaid integration');
+}
+
+// HTTP server settings
+const SERVER_CONFIG = {
+    max_body_bytes: parseInt(process.env.MAX_BODY_BYTES, 10) || 100 * 1024
+};
+
+// Persistence settings (driver: file | sqlite)
+// data_dir must not be served: the static file handler only serves the frontend files
+const STORAGE_DATA_DIR = path.resolve(ROOT_DIR, process.env.STORAGE_DATA_DIR || 'var');
+const STORAGE_CONFIG = {
+    driver: process.env.STORAGE_DRIVER || 'file',
+    data_dir: STORAGE_DATA_DIR,
+    sqlite_path: process.env.STORAGE_SQLITE_PATH || path.join(STORAGE_DATA_DIR, 'lean-sdk.db')
+};
+
+// Crypto wallet sign-in settings (domains are host[:port] values the frontend is served from)
+const SIWE_CONFIG = {
+    allowed_domains: (process.env.SIWE_ALLOWED_DOMAINS || 'localhost:8000,localhost:3000')
+        .split(',')
+        .map(domain => domain.trim())
+        .filter(Boolean),
+    nonce_ttl_ms: 10 * 60 * 1000,
+    max_nonces_per_user: 5,
+    session_ttl_ms: 24 * 60 * 60 * 1000,
+    clock_skew_ms: 60 * 1000,
+    cookie_name: 'wallet_session'
+};
+
+// App user sessions and server-to-server API keys
+// API_KEYS=<username>:<key>[,...] - each key acts as that user (created at startup if missing)
+const AUTH_CONFIG = {
+    session_ttl_ms: 24 * 60 * 60 * 1000,
+    cookie_name: 'app_session',
+    min_password_length: 8,
+    allow_registration: process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+    api_keys: (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return { username: entry.substring(0, separator), key: entry.substring(separator + 1) };
+        })
+        .filter(({ username, key }) => username && key)
+};
+
+// Plaid Link defaults must come from the allowlists (PLAID_LINK_*) that client choices are checked against.
+// Optional products outside a narrower PLAID_LINK_PRODUCTS are dropped; any other mismatch stops the server.
+function checkLinkDefaults(link) {
+    const outside = (values, allowed) => values.filter(value => !allowed.includes(value));
+
+    const dropped = outside(link.default_required_if_supported_products, link.allowed_products);
+    if (dropped.length > 0) {
+        console.warn(`⚠️  Plaid Link: not requesting ${dropped.join(', ')} where supported (not in PLAID_LINK_PRODUCTS)`);
+        link.default_required_if_supported_products = link.default_required_if_supported_products
+            .filter(product => link.allowed_products.includes(product));
+    }
+
+    const problems = [
+        [outside(link.default_products, link.allowed_products), 'PLAID_LINK_PRODUCTS'],
+        [outside(link.default_country_codes, link.allowed_country_codes), 'PLAID_LINK_COUNTRY_CODES'],
+        [outside([link.default_language], link.allowed_languages), 'PLAID_LINK_LANGUAGES']
+    ].filter(([missing]) => missing.length > 0);
+
+    if (problems.length > 0) {
+        problems.forEach(([missing, name]) => {
+            console.error(`❌ ERROR: ${name} must include the Plaid Link default(s): ${missing.join(', ')}`);
+        });
+        process.exit(1);
+    }
+}
+
+checkLinkDefaults(PLAID_CONFIG.link);
+
+// Master keys for encrypting tokens and identifiers at rest
+// DATA_ENCRYPTION_KEYS=<key id>:<base64 32-byte key>[,<older key id>:<key>...]
+// The first key encrypts new data; the rest stay available for decryption until
+// `npm run reencrypt` has moved everything onto the first key.
+function parseEncryptionKeys(value) {
+    const keys = {};
+    const ids = [];
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [id, encoded] = entry.split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (!/^[A-Za-z0-9_-]+$/.test(id) || key.length !== 32) {
+            console.error(`❌ ERROR: Invalid DATA_ENCRYPTION_KEYS entry "${id}" (expected <id>:<base64 32-byte key>)`);
+            process.exit(1);
+        }
+        keys[id] = key;
+        ids.push(id);
+    });
+
+    return { keys, active_key_id: ids[0] };
+}
+
+const ENCRYPTION_CONFIG = parseEncryptionKeys(process.env.DATA_ENCRYPTION_KEYS);
+
+if (!ENCRYPTION_CONFIG.active_key_id) {
+    console.error('❌ ERROR: Missing DATA_ENCRYPTION_KEYS in .env file!');
+    console.error('📝 Generate a key with: node -e "console.log(\'k1:\' + require(\'crypto\').randomBytes(32).toString(\'base64\'))"');
+    process.exit(1);
+}
+
+module.exports = {
+    ROOT_DIR,
+    LEAN_CONFIG,
+    PLAID_CONFIG,
+    SERVER_CONFIG,
+    STORAGE_CONFIG,
+    SIWE_CONFIG,
+    AUTH_CONFIG,
+    ENCRYPTION_CONFIG
+};
@@ -0,0 +1,130 @@
+/**
+ * Lean Consent Monitor
+ * Saudi Open Banking consents expire; this job checks every active Lean
+ * connection's consents on a timer and flags the ones expiring within
+ * LEAN_CONSENT_WARNING_DAYS on the saved connection records.
+ */
+
+const { LEAN_CONFIG } = require('./config');
+const { storage } = require('./storage');
+const lean = require('./lean');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permissions come back as an array, a { name: true } map or a string
+ */
+function permissionList(permissions) {
+    if (Array.isArray(permissions)) {
+        return permissions;
+    }
+    if (permissions && typeof permissions === 'object') {
+        return Object.entries(permissions)
+            .filter(([, granted]) => granted === true || granted === 'true')
+            .map(([name]) => name);
+    }
+    return permissions ? [String(permissions)] : [];
+}
+
+/**
+ * Consents array from a listConsents() response
+ */
+function consentsFrom(response) {
+    const consents = response.data?.data || response.data || response.consents || [];
+    return Array.isArray(consents) ? consents : [];
+}
+
+/**
+ * Flatten a Lean consent into the fields the dashboard and job use
+ */
+function normalizeConsent(consent, warningDays = LEAN_CONFIG.consent_warning_days) {
+    const status = consent.consent_status || consent.status || 'UNKNOWN';
+    const expiresAt = consent.expiration_date_time || consent.expires_at || null;
+    const msLeft = expiresAt ? Date.parse(expiresAt) - Date.now() : NaN;
+    const active = status === 'ACTIVE' || status === 'AUTHORISED';
+
+    return {
+        consent_id: consent.consent_id || consent.id,
+        status: status,
+        permissions: permissionList(consent.permissions),
+        created_at: consent.creation_date_time || consent.created_at || null,
+        expires_at: expiresAt,
+        days_left: Number.isNaN(msLeft) ? null : Math.ceil(msLeft / DAY_MS),
+        expiring_soon: active && msLeft >= 0 && msLeft <= warningDays * DAY_MS
+    };
+}
+
+/**
+ * Check one entity's consents and record the result on its saved connections
+ */
+async function checkEntityConsents(customerId, entityId) {
+    const consents = consentsFrom(await lean.listConsents(customerId, entityId)).map(consent => normalizeConsent(consent));
+    const active = consents.filter(consent => consent.status === 'ACTIVE' || consent.status === 'AUTHORISED');
+    const nextExpiry = active.map(consent => consent.expires_at).filter(Boolean).sort()[0] || null;
+    const expiring = consents.filter(consent => consent.expiring_soon);
+
+    const changes = {
+        consent_expires_at: nextExpiry,
+        consent_expiring_soon: expiring.length > 0,
+        consent_checked_at: new Date().toISOString()
+    };
+    for (const connection of await storage.find('lean_connections', { entity_id: entityId })) {
+        await storage.update('lean_connections', connection.id, changes);
+    }
+
+    expiring.forEach(consent => {
+        console.log(`⚠️ Consent ${consent.consent_id} for entity ${entityId} expires in ${consent.days_left} day(s)`);
+    });
+    return expiring.length;
+}
+
+/**
+ * Check every active connection once
+ */
+async function checkExpiringConsents() {
+    const connections = (await storage.find('lean_connections'))
+        .filter(connection => connection.status !== 'DISCONNECTED' && connection.customer_id);
+
+    // A connection may have been saved more than once
+    const entities = new Map(connections.map(connection => [connection.entity_id, connection.customer_id]));
+
+    let expiring = 0;
+    for (const [entityId, customerId] of entities) {
+        try {
+            expiring += await checkEntityConsents(customerId, entityId);
+        } catch (error) {
+            console.error(`❌ Consent check failed for entity ${entityId}:`, error.message);
+        }
+    }
+
+    console.log(`📅 Consent check: ${entities.size} entities, ${expiring} consent(s) expiring within ${LEAN_CONFIG.consent_warning_days} days`);
+    return { checked: entities.size, expiring: expiring };
+}
+
+/**
+ * Run the check on startup and then every LEAN_CONSENT_CHECK_INTERVAL_HOURS (0 disables it)
+ */
+function startConsentMonitor() {
+    const intervalHours = LEAN_CONFIG.consent_check_interval_hours;
+    if (!intervalHours) {
+        console.log('📅 Consent monitor disabled');
+        return null;
+    }
+
+    const run = () => checkExpiringConsents().catch(error => {
+        console.error('❌ Consent monitor failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    // Never keep the process alive just for this job
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    normalizeConsent,
+    consentsFrom,
+    checkExpiringConsents,
+    startConsentMonitor
+};
@@ -0,0 +1,136 @@
+/**
+ * Envelope encryption for sensitive fields at rest
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and that
+ * data key is wrapped with a master key from DATA_ENCRYPTION_KEYS. Rotating the
+ * master key therefore only re-wraps the small data keys (npm run reencrypt).
+ *
+ * Stored format: enc:v1:<master key id>:<wrapped data key>:<ciphertext>
+ * where both parts are base64url(iv | auth tag | ciphertext).
+ */
+
+const crypto = require('crypto');
+const { ENCRYPTION_CONFIG } = require('./config');
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Per-master-key HMAC keys for blind indexes, derived once
+const indexKeys = {};
+
+/**
+ * AES-256-GCM encrypt, binding `aad` so ciphertexts cannot be swapped between contexts
+ */
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+    const data = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function masterKey(keyId) {
+    const key = ENCRYPTION_CONFIG.keys[keyId];
+    if (!key) {
+        throw new Error(`Data was encrypted with unknown key "${keyId}" - is it still listed in DATA_ENCRYPTION_KEYS?`);
+    }
+    return key;
+}
+
+function parseEnvelope(value) {
+    const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+    if (!payload) {
+        throw new Error('Malformed encrypted value');
+    }
+    return { keyId, wrappedKey, payload };
+}
+
+/**
+ * Is this a stored envelope (as opposed to legacy plaintext)?
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Master key id an envelope is wrapped with
+ */
+function getKeyId(value) {
+    return parseEnvelope(value).keyId;
+}
+
+/**
+ * Encrypt any JSON value under the active master key
+ * @param {string} context - Where the value lives, e.g. "plaid_connections.access_token"
+ */
+function encryptValue(value, context) {
+    const keyId = ENCRYPTION_CONFIG.active_key_id;
+    const dataKey = crypto.randomBytes(32);
+    const wrappedKey = seal(masterKey(keyId), dataKey, keyId);
+    const payload = seal(dataKey, JSON.stringify(value), context);
+    return `${PREFIX}${keyId}:${wrappedKey}:${payload}`;
+}
+
+/**
+ * Decrypt an envelope; plaintext values (not yet re-encrypted) are returned as-is
+ */
+function decryptValue(value, context) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+    const { keyId, wrappedKey, payload } = parseEnvelope(value);
+    const dataKey = open(masterKey(keyId), wrappedKey, keyId);
+    return JSON.parse(open(dataKey, payload, context).toString('utf8'));
+}
+
+/**
+ * Re-wrap an envelope's data key under the active master key (ciphertext is unchanged)
+ */
+function rewrapValue(value) {
+    const { keyId, wrappedKey, payload } = parseEnvelope(value);
+    const activeKeyId = ENCRYPTION_CONFIG.active_key_id;
+    if (keyId === activeKeyId) {
+        return value;
+    }
+    const dataKey = open(masterKey(keyId), wrappedKey, keyId);
+    return `${PREFIX}${activeKeyId}:${seal(masterKey(activeKeyId), dataKey, activeKeyId)}:${payload}`;
+}
+
+/**
+ * Deterministic keyed hash of a value so encrypted fields can still be looked up
+ */
+function blindIndex(value, keyId = ENCRYPTION_CONFIG.active_key_id) {
+    if (!indexKeys[keyId]) {
+        indexKeys[keyId] = Buffer.from(crypto.hkdfSync('sha256', masterKey(keyId), Buffer.alloc(0), 'blind-index', 32));
+    }
+    return crypto.createHmac('sha256', indexKeys[keyId]).update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Mask a secret for display, keeping only the last few characters
+ */
+function maskSecret(value, visible = 4) {
+    if (typeof value !== 'string' || !value) {
+        return null;
+    }
+    return value.length <= visible * 2 ? '••••' : `••••${value.slice(-visible)}`;
+}
+
+module.exports = {
+    isEncrypted,
+    getKeyId,
+    encryptValue,
+    decryptValue,
+    rewrapValue,
+    blindIndex,
+    maskSecret
+};
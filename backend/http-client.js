@@ -0,0 +1,59 @@
+/**
+ * Outgoing HTTP client used for Lean and Plaid API calls
+ */
+
+/**
+ * Make HTTP request (Node.js native)
+ */
+function makeRequest(url, options, postData = null) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+
+        const reqOptions = {
+            hostname: urlObj.hostname,
+            port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+            path: urlObj.pathname + urlObj.search,
+            method: options.method || 'GET',
+            headers: options.headers || {}
+        };
+
+        const protocol = urlObj.protocol === 'https:' ? require('https') : require('http');
+
+        const req = protocol.request(reqOptions, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    // Handle empty responses (like 204 No Content for DELETE)
+                    if (!data || data.trim() === '') {
+                        resolve({ success: true, status: res.statusCode });
+                    } else {
+                        try {
+                            resolve(JSON.parse(data));
+                        } catch (e) {
+                            resolve(data);
+                        }
+                    }
+                } else {
+                    reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(error);
+        });
+
+        if (postData) {
+            req.write(postData);
+        }
+
+        req.end();
+    });
+}
+
+module.exports = { makeRequest };
@@ -0,0 +1,727 @@
+/**
+ * Lean API Functions
+ * Server-side calls to Lean's auth, customer and data APIs
+ */
+
+const crypto = require('crypto');
+const { LEAN_CONFIG } = require('./config');
+const { makeRequest } = require('./http-client');
+const { storage } = require('./storage');
+
+// Transaction page size cap (any requested size is clamped to it) and page limit for "all pages" fetches
+const MAX_TRANSACTIONS_PAGE_SIZE = 100;
+const MAX_TRANSACTION_PAGES = 100;
+
+// Cache for API access token
+let apiAccessToken = null;
+let apiTokenExpiry = null;
+
+/**
+ * Value of Lean's `async` query parameter
+ * With async=true Lean answers straight away with { status: 'PENDING', results_id }
+ * and the data is collected later from getResults().
+ */
+function asyncFlag(options) {
+    return options.async ? 'true' : 'false';
+}
+
+/**
+ * Step 1: Get API Access Token
+ */
+async function getApiAccessToken() {
+    console.log('🔑 Getting API Access Token...');
+
+    const formData = new URLSearchParams();
+    formData.append('client_id', LEAN_CONFIG.client_id);
+    formData.append('client_secret', LEAN_CONFIG.client_secret);
+    formData.append('grant_type', 'client_credentials');
+    formData.append('scope', 'api');
+
+    const data = await makeRequest(LEAN_CONFIG.auth_url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(formData.toString())
+        }
+    }, formData.toString());
+
+    apiAccessToken = data.access_token;
+    apiTokenExpiry = Date.now() + (data.expires_in * 1000);
+
+    console.log('✅ API Access Token obtained');
+    return data.access_token;
+}
+
+/**
+ * Step 2: Create Customer
+ */
+async function createCustomer(appUserId) {
+    console.log('👤 Creating Customer:', appUserId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const postData = JSON.stringify({ app_user_id: appUserId });
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/customers/v1`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Customer created:', data.customer_id);
+    return data;
+}
+
+/**
+ * Step 3: Get Customer Access Token
+ */
+async function getCustomerAccessToken(customerId) {
+    console.log('🎫 Getting Customer Access Token for:', customerId);
+
+    const formData = new URLSearchParams();
+    formData.append('client_id', LEAN_CONFIG.client_id);
+    formData.append('client_secret', LEAN_CONFIG.client_secret);
+    formData.append('grant_type', 'client_credentials');
+    formData.append('scope', `customer.${customerId}`);
+
+    const data = await makeRequest(LEAN_CONFIG.auth_url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(formData.toString())
+        }
+    }, formData.toString());
+
+    console.log('✅ Customer Access Token obtained');
+    return data;
+}
+
+
+/**
+ * Initialize Customer (Complete Flow - 3 steps)
+ */
+async function initializeCustomer(appUserId) {
+    try {
+        console.log('='.repeat(50));
+        console.log('🚀 Starting Customer Initialization (3-step flow)');
+        console.log('='.repeat(50));
+
+        // Step 1
+        await getApiAccessToken();
+
+        // Step 2
+        const customer = await createCustomer(appUserId);
+        const customerId = customer.customer_id || customer.id;
+
+        // Step 3
+        const customerToken = await getCustomerAccessToken(customerId);
+
+        console.log('='.repeat(50));
+        console.log('✅ Initialization Complete!');
+        console.log('='.repeat(50));
+
+        return {
+            success: true,
+            customer_id: customerId,
+            app_user_id: customer.app_user_id,
+            access_token: customerToken.access_token,
+            token_expires_in: customerToken.expires_in,
+            token_scope: customerToken.scope
+        };
+    } catch (error) {
+        console.error('❌ Initialization Failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get Tokens for Existing Customer (2-step flow)
+ */
+async function getTokensForCustomer(customerId) {
+    try {
+        console.log('='.repeat(50));
+        console.log('🎫 Getting Tokens for Existing Customer (2-step flow)');
+        console.log('='.repeat(50));
+
+        // Step 1: Get API Access Token
+        await getApiAccessToken();
+
+        // Step 2: Get Customer Access Token (skip customer creation)
+        const customerToken = await getCustomerAccessToken(customerId);
+
+        console.log('='.repeat(50));
+        console.log('✅ Tokens Retrieved!');
+        console.log('='.repeat(50));
+
+        return {
+            success: true,
+            customer_id: customerId,
+            access_token: customerToken.access_token,
+            token_expires_in: customerToken.expires_in,
+            token_scope: customerToken.scope
+        };
+    } catch (error) {
+        console.error('❌ Token Retrieval Failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get Accounts (Proxy Function)
+ */
+async function getAccounts(entityId, options = {}) {
+    console.log('📊 Fetching Accounts for Entity:', entityId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const params = new URLSearchParams({
+        entity_id: entityId,
+        async: asyncFlag(options),
+        force_refresh: 'false',
+        verbose: 'false'
+    });
+    const url = `${LEAN_CONFIG.api_url}/data/v2/accounts?${params}`;
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Accounts fetched:', data.accounts?.length || 0, 'accounts');
+    return data;
+}
+
+/**
+ * Get Identity (Proxy Function)
+ * Account holder's name, national ID, contact details and address as held by the bank
+ */
+async function getIdentity(entityId, options = {}) {
+    console.log('🪪 Fetching Identity for Entity:', entityId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const params = new URLSearchParams({
+        entity_id: entityId,
+        async: asyncFlag(options),
+        force_refresh: 'false',
+        verbose: 'false'
+    });
+    const url = `${LEAN_CONFIG.api_url}/data/v2/identity?${params}`;
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Identity fetched');
+    return data;
+}
+
+/**
+ * Get Account Balances (Proxy Function)
+ */
+async function getAccountBalances(accountId, entityId, options = {}) {
+    console.log('💰 Fetching Balances for Account:', accountId, 'Entity:', entityId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const params = new URLSearchParams({
+        entity_id: entityId,
+        async: asyncFlag(options),
+        page: '0',
+        size: '50',
+        verbose: 'false',
+        force_refresh: 'true'
+    });
+    const url = `${LEAN_CONFIG.api_url}/data/v2/accounts/${encodeURIComponent(accountId)}/balances?${params}`;
+
+    console.log('🔍 Balance API URL:', url);
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Balances fetched');
+    return data;
+}
+
+/**
+ * Get Account Transactions (Proxy Function)
+ * Options: from_date / to_date (YYYY-MM-DD), page (0-based), size
+ */
+async function getAccountTransactions(accountId, entityId, options = {}) {
+    console.log('📜 Fetching Transactions for Account:', accountId, 'Entity:', entityId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const params = new URLSearchParams({
+        entity_id: entityId,
+        async: asyncFlag(options),
+        page: String(options.page || 0),
+        size: String(Math.min(options.size || 50, MAX_TRANSACTIONS_PAGE_SIZE)),
+        verbose: 'false'
+    });
+    if (options.from_date) params.append('from_date', options.from_date);
+    if (options.to_date) params.append('to_date', options.to_date);
+
+    const url = `${LEAN_CONFIG.api_url}/data/v2/accounts/${encodeURIComponent(accountId)}/transactions?${params}`;
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Transactions fetched');
+    return data;
+}
+
+/**
+ * Get every page of Account Transactions for a date range
+ * Walks Lean's pagination server-side and returns one merged response.
+ */
+async function getAllAccountTransactions(accountId, entityId, options = {}) {
+    const size = Math.min(options.size || MAX_TRANSACTIONS_PAGE_SIZE, MAX_TRANSACTIONS_PAGE_SIZE);
+    const transactions = [];
+    let totalPages = 1;
+    let page = 0;
+
+    while (page < totalPages && page < MAX_TRANSACTION_PAGES) {
+        const data = await getAccountTransactions(accountId, entityId, { ...options, async: false, page, size });
+        const batch = data.data?.transactions || [];
+        transactions.push(...batch);
+
+        const pageInfo = data.page || data.data?.page || {};
+        totalPages = pageInfo.total_pages || 0;
+        page++;
+
+        // Without page metadata, keep going until a short page comes back
+        if (!pageInfo.total_pages && batch.length === size) {
+            totalPages = page + 1;
+        }
+    }
+
+    console.log(`✅ All transactions fetched: ${transactions.length} across ${page} pages`);
+
+    return {
+        status: 'OK',
+        type: 'transactions',
+        data: { transactions },
+        page: {
+            size: size,
+            pages_fetched: page,
+            total_pages: totalPages,
+            total_elements: transactions.length,
+            truncated: page < totalPages
+        }
+    };
+}
+
+/**
+ * Get a per-account Lean data resource (shared by the proxy functions below)
+ */
+async function getAccountResource(accountId, entityId, resource, options = {}) {
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const params = new URLSearchParams({
+        entity_id: entityId,
+        async: asyncFlag(options),
+        page: '0',
+        size: '50',
+        verbose: 'false'
+    });
+    const url = `${LEAN_CONFIG.api_url}/data/v2/accounts/${encodeURIComponent(accountId)}/${resource}?${params}`;
+
+    return makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+}
+
+/**
+ * Get Scheduled Payments (Proxy Function)
+ */
+async function getScheduledPayments(accountId, entityId, options = {}) {
+    console.log('🗓️ Fetching Scheduled Payments for Account:', accountId, 'Entity:', entityId);
+
+    const data = await getAccountResource(accountId, entityId, 'scheduled-payments', options);
+
+    console.log('✅ Scheduled payments fetched');
+    return data;
+}
+
+/**
+ * Get Standing Orders (Proxy Function)
+ */
+async function getStandingOrders(accountId, entityId, options = {}) {
+    console.log('🔁 Fetching Standing Orders for Account:', accountId, 'Entity:', entityId);
+
+    const data = await getAccountResource(accountId, entityId, 'standing-orders', options);
+
+    console.log('✅ Standing orders fetched');
+    return data;
+}
+
+/**
+ * Get Direct Debits (Proxy Function)
+ */
+async function getDirectDebits(accountId, entityId, options = {}) {
+    console.log('🧾 Fetching Direct Debits for Account:', accountId, 'Entity:', entityId);
+
+    const data = await getAccountResource(accountId, entityId, 'direct-debits', options);
+
+    console.log('✅ Direct debits fetched');
+    return data;
+}
+
+/**
+ * Get Beneficiaries (Proxy Function)
+ */
+async function getBeneficiaries(accountId, entityId, options = {}) {
+    console.log('👥 Fetching Beneficiaries for Account:', accountId, 'Entity:', entityId);
+
+    const data = await getAccountResource(accountId, entityId, 'beneficiaries', options);
+
+    console.log('✅ Beneficiaries fetched');
+    return data;
+}
+
+/**
+ * Get the results of an async data request
+ */
+async function getResults(resultsId) {
+    console.log('📬 Fetching Results:', resultsId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/data/v2/results/${encodeURIComponent(resultsId)}`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Results fetched:', data.status || 'OK');
+    return data;
+}
+
+/**
+ * List the entities (connected banks) Lean holds for a customer
+ */
+async function getCustomerEntities(customerId) {
+    console.log('🏦 Listing Entities for Customer:', customerId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const url = `${LEAN_CONFIG.api_url}/customers/v1/${encodeURIComponent(customerId)}/entities`;
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    const entities = Array.isArray(data) ? data : data.data || data.entities || [];
+    console.log('✅ Entities listed:', entities.length);
+    return entities;
+}
+
+/**
+ * List Consents (for consent management)
+ */
+async function listConsents(customerId, entityId) {
+    console.log('📋 Listing Consents for Customer:', customerId, 'Entity:', entityId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const url = `${LEAN_CONFIG.api_url}/customers/v1/${encodeURIComponent(customerId)}/entities/${encodeURIComponent(entityId)}/consents`;
+
+    const data = await makeRequest(url, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Consents listed:', data.data?.length || 0, 'consents');
+    return data;
+}
+
+/**
+ * Delete Consent
+ */
+async function deleteConsent(customerId, entityId, consentId, reason = 'USER_REQUESTED') {
+    console.log('🗑️ Deleting Consent:', consentId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const url = `${LEAN_CONFIG.api_url}/customers/v1/${encodeURIComponent(customerId)}/entities/${encodeURIComponent(entityId)}/consent/${encodeURIComponent(consentId)}?${new URLSearchParams({ reason: reason })}`;
+
+    console.log('🔍 Delete Consent URL:', url);
+
+    const data = await makeRequest(url, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        }
+    });
+
+    console.log('✅ Consent deleted successfully');
+    return data;
+}
+
+/**
+ * Get Available Lean Banks/Entities
+ */
+async function getLeanBanks() {
+    console.log('🏦 Fetching available Lean banks...');
+
+    // Get API access token first
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    // Correct Lean API endpoint for fetching available banks
+    // Using /banks/v1 (not /data/v1/entities which is for connected entities)
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/banks/v1`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    console.log('✅ Lean banks fetched:', Array.isArray(data) ? data.length : 0, 'banks');
+    return { banks: data };
+}
+
+/**
+ * Create Payment Destination (a payee account payments can be sent to)
+ */
+async function createPaymentDestination(destination) {
+    console.log('🏦 Creating Payment Destination:', destination.display_name);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const postData = JSON.stringify(destination);
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/payments/v1/destinations`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Payment Destination created:', data.payment_destination_id || data.id);
+    return data;
+}
+
+/**
+ * Add a Payment Destination as a beneficiary of a customer
+ */
+async function addCustomerBeneficiary(customerId, paymentDestinationId) {
+    console.log('👥 Adding Beneficiary', paymentDestinationId, 'for Customer:', customerId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const postData = JSON.stringify({ payment_destination_id: paymentDestinationId });
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/customers/v1/${encodeURIComponent(customerId)}/payment-destinations`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Beneficiary added');
+    return data;
+}
+
+/**
+ * Create Payment Intent
+ * The returned payment_intent_id is handed to Lean.pay() in the browser
+ */
+async function createPaymentIntent({ customerId, amount, currency, paymentDestinationId, description }) {
+    console.log('💳 Creating Payment Intent for Customer:', customerId, 'Amount:', amount, currency);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const postData = JSON.stringify({
+        customer_id: customerId,
+        amount: amount,
+        currency: currency,
+        payment_destination_id: paymentDestinationId,
+        description: description
+    });
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/payments/v1/intents`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Payment Intent created:', data.payment_intent_id);
+    return data;
+}
+
+/**
+ * Get Payment Intent (including the payments made against it)
+ */
+async function getPaymentIntent(paymentIntentId) {
+    console.log('🔍 Fetching Payment Intent:', paymentIntentId);
+
+    // Get API access token if needed
+    if (!apiAccessToken || Date.now() >= apiTokenExpiry) {
+        await getApiAccessToken();
+    }
+
+    const data = await makeRequest(`${LEAN_CONFIG.api_url}/payments/v1/intents/${encodeURIComponent(paymentIntentId)}`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    console.log('✅ Payment Intent fetched');
+    return data;
+}
+
+/**
+ * Verify a webhook's Lean-Signature header
+ * Lean signs the raw request body with HMAC-SHA256 using the webhook secret (hex digest).
+ */
+function verifyWebhookSignature(rawBody, signature) {
+    if (!signature || !/^[0-9a-f]{64}$/i.test(signature)) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', LEAN_CONFIG.webhook_secret).update(rawBody).digest();
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Save a Lean webhook event (kept in webhook_events next to Plaid's)
+ */
+async function saveWebhookEvent(webhookData) {
+    const payload = webhookData.payload || {};
+
+    const event = await storage.insert('webhook_events', {
+        provider: 'lean',
+        webhook_type: webhookData.type,
+        event_id: webhookData.event_id || null,
+        entity_id: payload.entity_id || (webhookData.type.startsWith('entity.') ? payload.id : undefined),
+        customer_id: payload.customer_id,
+        message: webhookData.message || null,
+        timestamp: webhookData.timestamp || null,
+        payload: payload,
+        received_at: new Date().toISOString()
+    });
+
+    console.log('💾 Lean webhook saved:', event.id);
+    return event;
+}
+
+module.exports = {
+    getApiAccessToken,
+    createCustomer,
+    getCustomerAccessToken,
+    initializeCustomer,
+    getTokensForCustomer,
+    getAccounts,
+    getIdentity,
+    getAccountBalances,
+    getAccountTransactions,
+    getAllAccountTransactions,
+    getScheduledPayments,
+    getStandingOrders,
+    getDirectDebits,
+    getBeneficiaries,
+    getResults,
+    getCustomerEntities,
+    listConsents,
+    deleteConsent,
+    getLeanBanks,
+    createPaymentDestination,
+    addCustomerBeneficiary,
+    createPaymentIntent,
+    getPaymentIntent,
+    verifyWebhookSignature,
+    saveWebhookEvent
+};
@@ -0,0 +1,159 @@
+/**
+ * Plaid Transactions Sync
+ * Keeps a local ledger of each Item's transactions with /transactions/sync.
+ * The cursor is saved on the connection record, so every run only downloads
+ * and applies what changed since the previous one.
+ */
+
+const { storage } = require('./storage');
+const plaid = require('./plaid');
+
+const SYNC_PAGE_SIZE = 500;
+const MAX_SYNC_RESTARTS = 3;
+
+// Syncs and resets in progress (connection id -> { run, followUp }), so a webhook, a manual sync and a reset never overlap
+const runningSyncs = new Map();
+
+/**
+ * Page through every update since the cursor
+ * Plaid asks for a restart from the original cursor if the Item changes mid-pagination
+ */
+async function fetchUpdates(accessToken, cursor) {
+    for (let attempt = 0; ; attempt++) {
+        const updates = { added: [], modified: [], removed: [], next_cursor: cursor };
+
+        try {
+            let hasMore = true;
+            while (hasMore) {
+                const page = await plaid.syncPlaidTransactions(accessToken, updates.next_cursor, SYNC_PAGE_SIZE);
+                updates.added.push(...(page.added || []));
+                updates.modified.push(...(page.modified || []));
+                updates.removed.push(...(page.removed || []));
+                updates.next_cursor = page.next_cursor;
+                hasMore = page.has_more === true;
+            }
+            return updates;
+        } catch (error) {
+            const mutated = (error.message || '').includes('TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION');
+            if (!mutated || attempt >= MAX_SYNC_RESTARTS) {
+                throw error;
+            }
+            console.log('⚠️ Item changed during sync, restarting from the saved cursor');
+        }
+    }
+}
+
+/**
+ * Apply added/modified/removed sets to the connection's stored transactions
+ */
+async function applyUpdates(connection, updates) {
+    const stored = await storage.find('plaid_transactions', { connection_id: connection.id });
+    const recordIds = new Map(stored.map(record => [record.transaction_id, record.id]));
+
+    for (const transaction of [...updates.added, ...updates.modified]) {
+        const fields = {
+            account_id: transaction.account_id,
+            date: transaction.date,
+            pending: transaction.pending === true,
+            transaction: transaction
+        };
+        const recordId = recordIds.get(transaction.transaction_id);
+
+        if (recordId) {
+            await storage.update('plaid_transactions', recordId, fields);
+        } else {
+            const record = await storage.insert('plaid_transactions', {
+                ...fields,
+                owner_id: connection.owner_id,
+                connection_id: connection.id,
+                item_id: connection.item_id,
+                transaction_id: transaction.transaction_id
+            });
+            recordIds.set(transaction.transaction_id, record.id);
+        }
+    }
+
+    for (const { transaction_id } of updates.removed) {
+        await storage.removeWhere('plaid_transactions', { connection_id: connection.id, transaction_id });
+    }
+}
+
+/**
+ * Fetch and apply everything since the connection's saved cursor, then advance it
+ */
+async function runSync(connection) {
+    // Re-read the connection so a queued sync starts from the latest cursor
+    const current = await storage.get('plaid_connections', connection.id) || connection;
+    const updates = await fetchUpdates(current.access_token, current.transactions_cursor || null);
+    await applyUpdates(current, updates);
+
+    const syncedAt = new Date().toISOString();
+    await storage.update('plaid_connections', current.id, {
+        transactions_cursor: updates.next_cursor,
+        transactions_synced_at: syncedAt
+    });
+
+    const summary = {
+        added: updates.added.length,
+        modified: updates.modified.length,
+        removed: updates.removed.length,
+        stored: await storage.count('plaid_transactions', { connection_id: current.id }),
+        synced_at: syncedAt
+    };
+    console.log(`💾 Plaid ledger for ${current.id}: +${summary.added} ~${summary.modified} -${summary.removed} (${summary.stored} stored)`);
+    return summary;
+}
+
+/**
+ * Sync one saved connection and advance its cursor
+ * A call made while a sync is running gets one follow-up sync started when it
+ * settles, since the running one may have read its page before the new updates.
+ */
+function syncConnectionTransactions(connection) {
+    const running = runningSyncs.get(connection.id);
+    if (running) {
+        if (!running.followUp) {
+            running.followUp = running.run
+                .catch(() => {})
+                .then(() => syncConnectionTransactions(connection));
+        }
+        return running.followUp;
+    }
+
+    const run = runSync(connection).finally(() => runningSyncs.delete(connection.id));
+    runningSyncs.set(connection.id, { run: run, followUp: null });
+    return run;
+}
+
+/**
+ * Delete an Item's stored transactions and clear its cursor
+ */
+async function clearTransactions(connection) {
+    const removed = await storage.removeWhere('plaid_transactions', { connection_id: connection.id });
+    await storage.update('plaid_connections', connection.id, {
+        transactions_cursor: null,
+        transactions_synced_at: null
+    });
+    return removed;
+}
+
+/**
+ * Forget an Item's stored transactions and cursor (the next sync starts over)
+ * Waits out any sync in progress and holds the connection's slot while clearing,
+ * so a running sync can't write its cursor back over the reset.
+ */
+async function resetConnectionTransactions(connection) {
+    let running;
+    while ((running = runningSyncs.get(connection.id))) {
+        await (running.followUp || running.run).catch(() => {});
+    }
+
+    const run = clearTransactions(connection).finally(() => runningSyncs.delete(connection.id));
+    runningSyncs.set(connection.id, { run: run, followUp: null });
+    return run;
+}
+
+module.exports = {
+    syncConnectionTransactions,
+    resetConnectionTransactions
+};
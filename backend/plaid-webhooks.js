@@ -0,0 +1,292 @@
+/**
+ * Plaid Webhook Processing
+ * Each verified webhook is stored once, keyed by its Plaid-Verification JWT's
+ * iat and body hash: the same signed delivery is recognised, while later
+ * webhooks with identical bodies (e.g. every SYNC_UPDATES_AVAILABLE for an
+ * Item) are new events. Each is then handed to the handler registered
+ * for its webhook_type/webhook_code. Handlers that throw are retried with
+ * exponential backoff by a background queue; the outcome is kept on the event.
+ * An event is marked RUNNING by this process before its handler starts, so the
+ * queue only resumes runs a restart abandoned and never runs a handler twice at once.
+ */
+
+const crypto = require('crypto');
+const { PLAID_CONFIG } = require('./config');
+const { storage } = require('./storage');
+const plaid = require('./plaid');
+const plaidSync = require('./plaid-sync');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_CHECK_MS = 30 * 1000;
+
+// Stamped on the events this process runs; RUNNING events from any other process were abandoned by a restart
+const PROCESS_ID = crypto.randomBytes(8).toString('hex');
+
+// Handlers by "WEBHOOK_TYPE/WEBHOOK_CODE"
+const handlers = new Map();
+
+// Deliveries being stored (event id -> promise), so concurrent copies never both insert
+const receiving = new Map();
+
+// Events whose handler this process is claiming or running (stored event ids)
+const dispatching = new Set();
+
+/**
+ * Register the handler for one webhook_type/webhook_code
+ * A handler receives the stored event and returns a short outcome message.
+ */
+function registerWebhookHandler(webhookType, webhookCode, handler) {
+    handlers.set(`${webhookType}/${webhookCode}`, handler);
+}
+
+/**
+ * Update every saved connection for an Item
+ */
+async function updateItemConnections(itemId, changes) {
+    const connections = await storage.find('plaid_connections', { item_id: itemId });
+    for (const connection of connections) {
+        await storage.update('plaid_connections', connection.id, changes);
+    }
+    return connections;
+}
+
+/**
+ * Whether an event's handler should run now: never dispatched, due for a retry,
+ * or left RUNNING by a process that has since stopped
+ */
+function isRunnable(event, now) {
+    switch (event.handler_status) {
+        case 'PENDING':
+            return true;
+        case 'RETRYING':
+            return event.next_attempt_at <= now;
+        case 'RUNNING':
+            return event.handler_owner !== PROCESS_ID;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Claim an event and run its handler once, recording the outcome
+ * Does nothing if the event is already running here or no longer needs a run.
+ */
+async function runHandler(eventId) {
+    if (dispatching.has(eventId)) {
+        return null;
+    }
+    dispatching.add(eventId);
+
+    try {
+        const current = await storage.get('webhook_events', eventId);
+        if (!current || !isRunnable(current, new Date().toISOString())) {
+            return current;
+        }
+
+        const event = await storage.update('webhook_events', eventId, {
+            handler_status: 'RUNNING',
+            handler_owner: PROCESS_ID,
+            handler_started_at: new Date().toISOString()
+        });
+        const handler = handlers.get(event.handler);
+        const attempts = (event.handler_attempts || 0) + 1;
+
+        try {
+            const result = await handler(event);
+            console.log(`✅ Webhook ${event.handler} handled: ${result}`);
+            return await storage.update('webhook_events', event.id, {
+                handler_status: 'SUCCEEDED',
+                handler_attempts: attempts,
+                handler_result: result,
+                handler_error: null,
+                next_attempt_at: null,
+                processed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            const retry = attempts < PLAID_CONFIG.webhook_max_attempts;
+            const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+            console.error(`❌ Webhook ${event.handler} failed (attempt ${attempts}):`, error.message);
+
+            return await storage.update('webhook_events', event.id, {
+                handler_status: retry ? 'RETRYING' : 'FAILED',
+                handler_attempts: attempts,
+                handler_error: error.message,
+                next_attempt_at: retry ? new Date(Date.now() + delay).toISOString() : null,
+                processed_at: retry ? null : new Date().toISOString()
+            });
+        }
+    } finally {
+        dispatching.delete(eventId);
+    }
+}
+
+/**
+ * Store a received webhook unless it was already delivered
+ * claims is the verified Plaid-Verification JWT payload (iat, request_body_sha256).
+ * Resolves to { event, duplicate }; run dispatchWebhookEvent(event) once Plaid has its response.
+ */
+function receiveWebhook(webhookData, claims) {
+    const eventId = crypto.createHash('sha256')
+        .update(`${claims.iat}:${claims.request_body_sha256}`)
+        .digest('hex');
+
+    if (receiving.has(eventId)) {
+        console.log('🔁 Duplicate webhook ignored (delivery in progress)');
+        return receiving.get(eventId).then(({ event }) => ({ event: event, duplicate: true }));
+    }
+
+    const run = (async () => {
+        const [existing] = await storage.find('webhook_events', { event_id: eventId });
+        if (existing) {
+            console.log('🔁 Duplicate webhook ignored:', existing.id);
+            return { event: existing, duplicate: true };
+        }
+
+        const handler = `${webhookData.webhook_type}/${webhookData.webhook_code}`;
+        const event = await plaid.saveWebhookEvent({
+            ...webhookData,
+            event_id: eventId,
+            handler: handlers.has(handler) ? handler : null,
+            handler_status: handlers.has(handler) ? 'PENDING' : 'UNHANDLED',
+            handler_attempts: 0
+        });
+        return { event: event, duplicate: false };
+    })();
+
+    receiving.set(eventId, run);
+    return run.finally(() => receiving.delete(eventId));
+}
+
+/**
+ * Run a freshly stored event's handler (failures go to the retry queue)
+ */
+async function dispatchWebhookEvent(event) {
+    if (event.handler_status !== 'PENDING') {
+        return event;
+    }
+    return runHandler(event.id);
+}
+
+/**
+ * Retry due handlers, and finish any a restart left PENDING or RUNNING
+ */
+async function processRetryQueue() {
+    const now = new Date().toISOString();
+    const events = [];
+    for (const status of ['PENDING', 'RETRYING', 'RUNNING']) {
+        events.push(...(await storage.find('webhook_events', { handler_status: status }))
+            .filter(event => !dispatching.has(event.id) && isRunnable(event, now)));
+    }
+
+    for (const event of events) {
+        await runHandler(event.id);
+    }
+    return events.length;
+}
+
+/**
+ * Check the retry queue on startup and then every RETRY_CHECK_MS
+ */
+function startWebhookRetryQueue() {
+    let running = false;
+    const run = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const processed = await processRetryQueue();
+            if (processed > 0) {
+                console.log(`🔁 Webhook retry queue: ${processed} event(s) processed`);
+            }
+        } catch (error) {
+            console.error('❌ Webhook retry queue failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, RETRY_CHECK_MS);
+    // Never keep the process alive just for this job
+    timer.unref();
+    return timer;
+}
+
+// ========================================
+// HANDLERS
+// ========================================
+
+// The Item needs the user to re-authenticate through Link update mode
+registerWebhookHandler('ITEM', 'ERROR', async event => {
+    const error = event.error || {};
+    const status = error.error_code === 'ITEM_LOGIN_REQUIRED' ? 'LOGIN_REQUIRED' : 'ERROR';
+
+    const connections = await updateItemConnections(event.item_id, {
+        status: status,
+        needs_reauth: true,
+        item_error: { error_code: error.error_code || null, error_message: error.error_message || null },
+        status_updated_at: new Date().toISOString()
+    });
+    return `${connections.length} connection(s) marked ${status}`;
+});
+
+// The user fixed the Item (e.g. through Link update mode in another session)
+registerWebhookHandler('ITEM', 'LOGIN_REPAIRED', async event => {
+    const connections = await updateItemConnections(event.item_id, {
+        status: 'HEALTHY',
+        needs_reauth: false,
+        item_error: null,
+        status_updated_at: new Date().toISOString()
+    });
+    return `${connections.length} connection(s) marked HEALTHY`;
+});
+
+// New transactions are ready: pull them into the local ledger
+registerWebhookHandler('TRANSACTIONS', 'SYNC_UPDATES_AVAILABLE', async event => {
+    const connections = await storage.find('plaid_connections', { item_id: event.item_id });
+
+    const totals = { added: 0, modified: 0, removed: 0 };
+    for (const connection of connections) {
+        const summary = await plaidSync.syncConnectionTransactions(connection);
+        totals.added += summary.added;
+        totals.modified += summary.modified;
+        totals.removed += summary.removed;
+    }
+    return `${connections.length} connection(s) synced: +${totals.added} ~${totals.modified} -${totals.removed}`;
+});
+
+// Consent runs out soon: schedule a reconnect notice for each owner
+registerWebhookHandler('ITEM', 'PENDING_EXPIRATION', async event => {
+    const expiresAt = event.consent_expiration_time || null;
+    const noticeAt = expiresAt
+        ? Math.max(Date.now(), Date.parse(expiresAt) - PLAID_CONFIG.expiration_notice_days * DAY_MS)
+        : Date.now();
+
+    const connections = await updateItemConnections(event.item_id, {
+        consent_expiration_time: expiresAt
+    });
+    for (const connection of connections) {
+        // One outstanding notice per connection
+        await storage.removeWhere('plaid_notifications', { connection_id: connection.id, status: 'SCHEDULED' });
+        await storage.insert('plaid_notifications', {
+            owner_id: connection.owner_id,
+            connection_id: connection.id,
+            item_id: connection.item_id,
+            type: 'PENDING_EXPIRATION',
+            message: `Access to ${connection.institution_name || 'your bank'} expires ${expiresAt ? `on ${new Date(expiresAt).toLocaleDateString()}` : 'soon'}. Reconnect to keep it working.`,
+            notify_at: new Date(noticeAt).toISOString(),
+            status: 'SCHEDULED'
+        });
+    }
+    return `${connections.length} notification(s) scheduled for ${new Date(noticeAt).toISOString()}`;
+});
+
+module.exports = {
+    registerWebhookHandler,
+    updateItemConnections,
+    receiveWebhook,
+    dispatchWebhookEvent,
+    startWebhookRetryQueue
+};
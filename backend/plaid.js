@@ -0,0 +1,847 @@
+/**
+ * Plaid API Functions
+ * Server-side calls to Plaid's Link, Item, data and Sandbox endpoints
+ */
+
+const crypto = require('crypto');
+const { PLAID_CONFIG } = require('./config');
+const { makeRequest } = require('./http-client');
+const { storage } = require('./storage');
+
+// Webhook verification keys by key ID ({ key, fetched_at }), re-fetched after WEBHOOK_KEY_TTL_MS
+// so a key Plaid has since expired is noticed
+const webhookKeys = new Map();
+const WEBHOOK_KEY_TTL_MS = 60 * 60 * 1000;
+// Key IDs Plaid could not resolve (key id -> failed_at), not looked up again for WEBHOOK_KEY_FAILURE_TTL_MS
+const failedWebhookKeys = new Map();
+const WEBHOOK_KEY_FAILURE_TTL_MS = 5 * 60 * 1000;
+// Lookups in progress (key id -> promise), so concurrent webhooks share one request
+const fetchingWebhookKeys = new Map();
+// Any unsigned request can name a key ID, so at most this many lookups go to Plaid per minute
+const WEBHOOK_KEY_FETCHES_PER_MINUTE = 10;
+let webhookKeyFetchTimes = [];
+// How far a JWT's iat may be ahead of our clock
+const WEBHOOK_CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Create Plaid Link Token (with optional institution pre-selection)
+ *
+ * ⚠️ CRITICAL: Testing shows institution_id does NOT work in sandbox mode.
+ *
+ * According to Plaid docs (https://plaid.com/docs/api/link/):
+ * - institution_id is "used for certain Europe-only configurations,
+ *   as well as certain legacy use cases in other regions"
+ * - For US institutions, institution_data.routing_number is preferred
+ *
+ * ❌ VERIFIED: ALL commonly cited sandbox institutions return INVALID_INSTITUTION:
+ * - ins_109508 (First Platypus Bank) ❌ Returns HTTP 400
+ * - ins_109509 (First Gingham Credit Union) ❌ Returns HTTP 400
+ * - ins_109510 (Tattersall Federal Credit Union) ❌ Returns HTTP 400
+ * - ins_109511 (Houndstooth Bank) ❌ Returns HTTP 400
+ * - ins_109512 (Tartan Bank) ❌ Returns HTTP 400
+ * - ins_109513 (Platinum Standard Bank) ❌ Returns HTTP 400
+ * - ins_109514 (Gold Standard Bank) ❌ Returns HTTP 400
+ *
+ * Test Results (run: node test-sandbox-banks.js):
+ * - 7/7 institutions failed with INVALID_INSTITUTION error
+ * - 0/7 institutions succeeded
+ *
+ * ✅ SOLUTION: The frontend auto-retry logic is ESSENTIAL (not optional).
+ * When institution_id fails, it automatically retries without the parameter,
+ * allowing users to select from all available sandbox banks via Plaid Link UI.
+ *
+ * RECOMMENDATION: Do not use institution_id in sandbox mode. Let users choose
+ * from Plaid Link's interface instead.
+ *
+ * @param {string} userId - client_user_id for Plaid
+ * @param {Object} options - Optional settings (defaults from PLAID_CONFIG.link):
+ *   institution_id, access_token (update mode), products, required_if_supported_products,
+ *   country_codes, language, redirect_uri (OAuth institutions), account_filters, webhook
+ */
+async function createPlaidLinkToken(userId, options = {}) {
+    const link = PLAID_CONFIG.link;
+    console.log('🔗 Creating Plaid Link Token for user:', userId);
+    if (options.institution_id) {
+        console.log('🏦 Institution pre-selected:', options.institution_id);
+    }
+
+    const products = options.products || link.default_products;
+    const linkTokenConfig = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        user: {
+            client_user_id: userId
+        },
+        client_name: 'Lean SDK Integration App',
+        products: products,
+        // A product cannot be both required and required-if-supported
+        required_if_supported_products: (options.required_if_supported_products || link.default_required_if_supported_products)
+            .filter(product => !products.includes(product)),
+        country_codes: options.country_codes || link.default_country_codes,
+        language: options.language || link.default_language
+    };
+
+    const redirectUri = options.redirect_uri || link.redirect_uris[0];
+    if (redirectUri) {
+        linkTokenConfig.redirect_uri = redirectUri;
+    }
+    const webhook = options.webhook || link.webhook_urls[0];
+    if (webhook) {
+        linkTokenConfig.webhook = webhook;
+    }
+    if (options.account_filters) {
+        linkTokenConfig.account_filters = options.account_filters;
+    }
+    console.log('   Products:', products.join(', '), '| Countries:', linkTokenConfig.country_codes.join(', '));
+
+    // Update mode: Link re-authenticates an existing Item instead of creating one
+    // (the Item keeps its products, so none are requested)
+    if (options.access_token) {
+        linkTokenConfig.access_token = options.access_token;
+        delete linkTokenConfig.products;
+        delete linkTokenConfig.required_if_supported_products;
+        console.log('🔁 Link token is for update mode');
+    }
+
+    // Add institution_id to link token config to skip institution selection screen
+    if (options.institution_id) {
+        linkTokenConfig.institution_id = options.institution_id;
+        console.log('✅ Institution ID added to link token config');
+    }
+
+    const postData = JSON.stringify(linkTokenConfig);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/link/token/create`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Link Token created');
+    return data;
+}
+
+/**
+ * Exchange Plaid Public Token for Access Token
+ */
+async function exchangePlaidPublicToken(publicToken) {
+    console.log('🔄 Exchanging Plaid Public Token...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        public_token: publicToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/item/public_token/exchange`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Access Token obtained');
+    console.log('   Item ID:', data.item_id);
+    return data;
+}
+
+/**
+ * Get Plaid Item status (error is null when the Item is healthy)
+ */
+async function getPlaidItem(accessToken) {
+    console.log('📋 Fetching Plaid Item...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/item/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Item fetched:', data.item?.error ? data.item.error.error_code : 'healthy');
+    return data;
+}
+
+/**
+ * Get Plaid Accounts
+ */
+async function getPlaidAccounts(accessToken) {
+    console.log('📊 Fetching Plaid Accounts...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/accounts/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Accounts fetched:', data.accounts?.length || 0, 'accounts');
+    return data;
+}
+
+/**
+ * Get Plaid Account Balances (with optional filtering)
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Object} options - Optional filtering parameters
+ * @param {Array<string>} options.account_ids - Filter by specific account IDs
+ * @param {string} options.min_last_updated_datetime - Filter by minimum update time (ISO 8601)
+ */
+async function getPlaidBalances(accessToken, options = {}) {
+    console.log('💰 Fetching Plaid Account Balances...');
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    };
+
+    // Add optional parameters if provided
+    if (options.account_ids || options.min_last_updated_datetime) {
+        requestBody.options = {};
+
+        if (options.account_ids && options.account_ids.length > 0) {
+            requestBody.options.account_ids = options.account_ids;
+            console.log('   🔍 Filtering accounts:', options.account_ids.length, 'selected');
+        }
+
+        if (options.min_last_updated_datetime) {
+            requestBody.options.min_last_updated_datetime = options.min_last_updated_datetime;
+            console.log('   📅 Min update time:', options.min_last_updated_datetime);
+        }
+    }
+
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/accounts/balance/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Balances fetched');
+    return data;
+}
+
+/**
+ * Get Plaid Transactions
+ */
+async function getPlaidTransactions(accessToken, startDate, endDate) {
+    console.log('📜 Fetching Plaid Transactions...');
+    console.log('   Date Range:', startDate, 'to', endDate);
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        start_date: startDate,
+        end_date: endDate
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/transactions/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Transactions fetched:', data.transactions?.length || 0, 'transactions');
+    return data;
+}
+
+/**
+ * Get one page of Plaid transaction updates since a cursor
+ * (no cursor = the Item's full history)
+ */
+async function syncPlaidTransactions(accessToken, cursor, count = 500) {
+    console.log('🔄 Syncing Plaid Transactions...');
+    console.log('   Cursor:', cursor || '(initial sync)');
+
+    const body = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        count: count
+    };
+    if (cursor) {
+        body.cursor = cursor;
+    }
+    const postData = JSON.stringify(body);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/transactions/sync`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log(`✅ Plaid sync page: ${data.added?.length || 0} added, ${data.modified?.length || 0} modified, ${data.removed?.length || 0} removed`);
+    return data;
+}
+
+/**
+ * Get Plaid Investment Holdings (positions plus the securities they refer to)
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Array<string>} accountIds - Optional: only these accounts
+ */
+async function getPlaidInvestmentHoldings(accessToken, accountIds = null) {
+    console.log('📈 Fetching Plaid Investment Holdings...');
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    };
+    if (accountIds && accountIds.length > 0) {
+        requestBody.options = { account_ids: accountIds };
+    }
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/investments/holdings/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Holdings fetched:', data.holdings?.length || 0, 'holdings');
+    return data;
+}
+
+/**
+ * Get Plaid Investment Transactions (buys, sells, dividends, fees...)
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} options - Optional account_ids, count (max 500) and offset
+ */
+async function getPlaidInvestmentTransactions(accessToken, startDate, endDate, options = {}) {
+    console.log('📈 Fetching Plaid Investment Transactions...');
+    console.log('   Date Range:', startDate, 'to', endDate);
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        start_date: startDate,
+        end_date: endDate
+    };
+    if (Object.keys(options).length > 0) {
+        requestBody.options = options;
+    }
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/investments/transactions/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Investment Transactions fetched:', data.investment_transactions?.length || 0, 'of', data.total_investment_transactions || 0);
+    return data;
+}
+
+/**
+ * Get Plaid Auth (Account & Routing Numbers)
+ */
+async function getPlaidAuth(accessToken) {
+    console.log('🔐 Fetching Plaid Auth Data...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/auth/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Auth data fetched');
+    return data;
+}
+
+/**
+ * Get Plaid Liabilities (credit cards, student loans and mortgages)
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Array<string>} accountIds - Optional: only these accounts
+ */
+async function getPlaidLiabilities(accessToken, accountIds = null) {
+    console.log('💳 Fetching Plaid Liabilities...');
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    };
+    if (accountIds && accountIds.length > 0) {
+        requestBody.options = { account_ids: accountIds };
+    }
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/liabilities/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    const liabilities = data.liabilities || {};
+    console.log(`✅ Plaid Liabilities fetched: ${liabilities.credit?.length || 0} credit, ${liabilities.student?.length || 0} student, ${liabilities.mortgage?.length || 0} mortgage`);
+    return data;
+}
+
+/**
+ * Get Plaid Identity (account owners' names, emails, phones and addresses)
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Array<string>} accountIds - Optional: only these accounts
+ */
+async function getPlaidIdentity(accessToken, accountIds = null) {
+    console.log('🪪 Fetching Plaid Identity...');
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    };
+    if (accountIds && accountIds.length > 0) {
+        requestBody.options = { account_ids: accountIds };
+    }
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/identity/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Identity fetched:', data.accounts?.length || 0, 'accounts');
+    return data;
+}
+
+/**
+ * Match user-supplied details against the account owners on file at the bank
+ * Plaid scores each field 0-100 per account.
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Object} user - legal_name, email_address, phone_number and/or address
+ * @param {Array<string>} accountIds - Optional: only these accounts
+ */
+async function matchPlaidIdentity(accessToken, user, accountIds = null) {
+    console.log('🪪 Matching Plaid Identity...');
+    console.log('   Fields:', Object.keys(user).join(', '));
+
+    const requestBody = {
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        user: user
+    };
+    if (accountIds && accountIds.length > 0) {
+        requestBody.options = { account_ids: accountIds };
+    }
+    const postData = JSON.stringify(requestBody);
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/identity/match`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Identity match scored:', data.accounts?.length || 0, 'accounts');
+    return data;
+}
+
+/**
+ * Get Payment Initiation Recipients
+ */
+async function getPlaidRecipients() {
+    console.log('💳 Fetching Plaid Payment Recipients...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/payment_initiation/recipient/list`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Payment Recipients fetched:', data.recipients?.length || 0, 'recipients');
+    return data;
+}
+
+/**
+ * Remove/Disconnect Plaid Item (Delete connection)
+ */
+async function removePlaidItem(accessToken) {
+    console.log('🗑️ Removing Plaid Item...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/item/remove`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Item removed successfully');
+    return data;
+}
+
+/**
+ * Get Institutions (Banks) with Payment Initiation Support
+ */
+async function getPlaidInstitutions(countryCode = 'US', count = 500, offset = 0) {
+    console.log('🏦 Fetching Plaid Institutions for country:', countryCode);
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        count: count,
+        offset: offset,
+        country_codes: [countryCode],
+        options: {
+            include_optional_metadata: true,
+            include_payment_initiation_metadata: true
+        }
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/institutions/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Institutions fetched:', data.institutions?.length || 0, 'institutions');
+    return data;
+}
+
+/**
+ * Fire a webhook manually (Sandbox only)
+ * This triggers a webhook event for testing purposes
+ */
+async function firePlaidWebhook(accessToken, webhookCode) {
+    console.log('🔔 Firing Plaid Webhook:', webhookCode);
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        webhook_code: webhookCode
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/sandbox/item/fire_webhook`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Webhook fired successfully');
+    return data;
+}
+
+/**
+ * Reset login for an Item (Sandbox only)
+ * This forces ITEM_LOGIN_REQUIRED webhook to be fired
+ */
+async function resetPlaidLogin(accessToken) {
+    console.log('🔄 Resetting Plaid Item Login...');
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/sandbox/item/reset_login`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Item login reset - ITEM_LOGIN_REQUIRED webhook will fire');
+    return data;
+}
+
+/**
+ * Get the public key Plaid signs webhooks with
+ */
+async function getWebhookVerificationKey(keyId) {
+    console.log('🔑 Fetching Plaid webhook verification key:', keyId);
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        key_id: keyId
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/webhook_verification_key/get`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    return data.key;
+}
+
+/**
+ * Verification key for a key ID, from the cache or fetched from Plaid
+ * Resolves to null when the key can't be had: Plaid failed to return it recently,
+ * or the per-minute lookup budget is spent.
+ */
+function getCachedWebhookKey(keyId) {
+    const now = Date.now();
+    const cached = webhookKeys.get(keyId);
+    if (cached && now - cached.fetched_at <= WEBHOOK_KEY_TTL_MS) {
+        return Promise.resolve(cached.key);
+    }
+    if (fetchingWebhookKeys.has(keyId)) {
+        return fetchingWebhookKeys.get(keyId);
+    }
+
+    const failedAt = failedWebhookKeys.get(keyId);
+    if (failedAt && now - failedAt < WEBHOOK_KEY_FAILURE_TTL_MS) {
+        return Promise.resolve(null);
+    }
+
+    webhookKeyFetchTimes = webhookKeyFetchTimes.filter(time => now - time < 60 * 1000);
+    if (webhookKeyFetchTimes.length >= WEBHOOK_KEY_FETCHES_PER_MINUTE) {
+        console.warn('⚠️  Plaid webhook key lookups rate limited, not fetching:', keyId);
+        return Promise.resolve(null);
+    }
+    webhookKeyFetchTimes.push(now);
+
+    const fetch = getWebhookVerificationKey(keyId)
+        .then(key => {
+            if (!key) {
+                throw new Error('no key returned');
+            }
+            webhookKeys.set(keyId, { key: key, fetched_at: Date.now() });
+            failedWebhookKeys.delete(keyId);
+            return key;
+        })
+        .catch(error => {
+            console.error(`❌ Plaid webhook key ${keyId} lookup failed:`, error.message);
+            for (const [id, time] of failedWebhookKeys) {
+                if (Date.now() - time >= WEBHOOK_KEY_FAILURE_TTL_MS) {
+                    failedWebhookKeys.delete(id);
+                }
+            }
+            failedWebhookKeys.set(keyId, Date.now());
+            return null;
+        })
+        .finally(() => fetchingWebhookKeys.delete(keyId));
+
+    fetchingWebhookKeys.set(keyId, fetch);
+    return fetch;
+}
+
+/**
+ * Decode one base64url JWT segment as JSON
+ */
+function decodeJwtSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a webhook's Plaid-Verification header
+ * The header is an ES256 JWT whose payload carries the SHA-256 of the raw body.
+ * Resolves to { claims } (the JWT payload) when the webhook is genuine, otherwise to { reason }.
+ */
+async function verifyWebhook(rawBody, token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        return { reason: 'missing or malformed Plaid-Verification header' };
+    }
+
+    let header;
+    let payload;
+    try {
+        header = decodeJwtSegment(parts[0]);
+        payload = decodeJwtSegment(parts[1]);
+    } catch (error) {
+        return { reason: 'undecodable JWT' };
+    }
+    if (header.alg !== 'ES256' || !header.kid) {
+        return { reason: `unexpected JWT algorithm ${header.alg}` };
+    }
+
+    if (typeof header.kid !== 'string' || header.kid.length > 100) {
+        return { reason: 'malformed JWT key ID' };
+    }
+
+    const jwk = await getCachedWebhookKey(header.kid);
+    if (!jwk) {
+        return { reason: `verification key ${header.kid} is unavailable` };
+    }
+    // expired_at is a Unix timestamp (seconds), null while the key is current
+    if (jwk.expired_at && jwk.expired_at * 1000 <= Date.now()) {
+        return { reason: `verification key ${header.kid} has expired` };
+    }
+
+    const publicKey = crypto.createPublicKey({
+        key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+        format: 'jwk'
+    });
+    const signedContent = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (!crypto.verify('sha256', signedContent, { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature)) {
+        return { reason: 'bad JWT signature' };
+    }
+
+    const ageSeconds = Date.now() / 1000 - payload.iat;
+    if (!Number.isFinite(ageSeconds) || ageSeconds > PLAID_CONFIG.webhook_max_age_seconds) {
+        return { reason: 'JWT is too old' };
+    }
+    if (ageSeconds < -WEBHOOK_CLOCK_SKEW_SECONDS) {
+        return { reason: 'JWT is issued in the future' };
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest();
+    const claimedHash = Buffer.from(String(payload.request_body_sha256 || ''), 'hex');
+    if (claimedHash.length !== bodyHash.length || !crypto.timingSafeEqual(bodyHash, claimedHash)) {
+        return { reason: 'body does not match request_body_sha256' };
+    }
+
+    return { claims: payload };
+}
+
+/**
+ * Persist a received webhook event
+ */
+async function saveWebhookEvent(webhookData) {
+    const event = await storage.insert('webhook_events', {
+        ...webhookData,
+        provider: 'plaid',
+        received_at: new Date().toISOString()
+    });
+
+    console.log('💾 Webhook saved:', event.id);
+    return event;
+}
+
+/**
+ * Create Sandbox Transaction (Sandbox only)
+ *
+ * ⚠️ IMPORTANT: This endpoint only works with Items created using
+ * the 'user_transactions_dynamic' test user credentials.
+ *
+ * Allows adding up to 10 custom transactions at a time to increase
+ * or decrease account balances in Sandbox mode.
+ *
+ * @param {string} accessToken - Plaid access token
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} transactions[].date_transacted - Transaction date (YYYY-MM-DD)
+ * @param {string} transactions[].date_posted - Posted date (YYYY-MM-DD)
+ * @param {number} transactions[].amount - Amount (positive = deposit, negative = withdrawal)
+ * @param {string} transactions[].name - Transaction name
+ * @param {string} transactions[].description - Transaction description (optional)
+ * @param {string} transactions[].currency_code - Currency code (default: USD)
+ */
+async function createPlaidTransaction(accessToken, transactions) {
+    console.log('💰 Creating Plaid Sandbox Transactions...');
+    console.log(`   Creating ${transactions.length} transaction(s)`);
+
+    const postData = JSON.stringify({
+        client_id: PLAID_CONFIG.client_id,
+        secret: PLAID_CONFIG.secret,
+        access_token: accessToken,
+        transactions: transactions
+    });
+
+    const data = await makeRequest(`${PLAID_CONFIG.api_url}/sandbox/transactions/create`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData)
+        }
+    }, postData);
+
+    console.log('✅ Plaid Transactions created successfully');
+    console.log('   Total transactions:', transactions.length);
+    transactions.forEach((tx, i) => {
+        console.log(`   ${i + 1}. Amount: ${tx.amount >= 0 ? '+' : ''}$${tx.amount.toFixed(2)}, Date: ${tx.date_posted}`);
+    });
+
+    return data;
+}
+
+module.exports = {
+    createPlaidLinkToken,
+    exchangePlaidPublicToken,
+    getPlaidItem,
+    getPlaidAccounts,
+    getPlaidBalances,
+    getPlaidTransactions,
+    syncPlaidTransactions,
+    getPlaidInvestmentHoldings,
+    getPlaidInvestmentTransactions,
+    getPlaidAuth,
+    getPlaidLiabilities,
+    getPlaidIdentity,
+    matchPlaidIdentity,
+    getPlaidRecipients,
+    removePlaidItem,
+    getPlaidInstitutions,
+    firePlaidWebhook,
+    resetPlaidLogin,
+    verifyWebhook,
+    saveWebhookEvent,
+    createPlaidTransaction
+};
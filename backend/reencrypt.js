@@ -0,0 +1,61 @@
+/**
+ * Re-encrypt stored sensitive fields under the active master key
+ *
+ * Run after putting a new key first in DATA_ENCRYPTION_KEYS, or once after
+ * upgrading from plaintext storage: plaintext values are encrypted, envelopes
+ * wrapped with an older key are re-wrapped and blind indexes are recomputed.
+ * Run it again until every collection reports 0 records updated; then older keys can be removed.
+ *
+ * Usage: npm run reencrypt
+ */
+
+const { ENCRYPTION_CONFIG } = require('./config');
+const { COLLECTIONS, storage } = require('./storage');
+const { isEncrypted, getKeyId, encryptValue, decryptValue, rewrapValue, blindIndex } = require('./encryption');
+
+async function reencrypt() {
+    // Work on the raw driver so envelopes are seen as stored
+    const driver = storage.driver;
+    const activeKeyId = ENCRYPTION_CONFIG.active_key_id;
+
+    console.log(`🔐 Re-encrypting stored data under key "${activeKeyId}"...`);
+
+    for (const [collection, { encrypted }] of Object.entries(COLLECTIONS)) {
+        if (!encrypted) continue;
+
+        const records = await driver.find(collection);
+        let updated = 0;
+
+        for (const record of records) {
+            const changes = {};
+
+            encrypted.forEach(field => {
+                const value = record[field];
+                if (value === undefined || value === null) return;
+
+                const context = `${collection}.${field}`;
+                if (!isEncrypted(value)) {
+                    changes[field] = encryptValue(value, context);
+                    changes[`${field}_hash`] = blindIndex(value);
+                } else if (getKeyId(value) !== activeKeyId) {
+                    changes[field] = rewrapValue(value);
+                    changes[`${field}_hash`] = blindIndex(decryptValue(value, context));
+                }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                await driver.update(collection, record.id, changes);
+                updated++;
+            }
+        }
+
+        console.log(`✅ ${collection}: ${updated} of ${records.length} records updated`);
+    }
+}
+
+reencrypt()
+    .then(() => storage.close())
+    .catch(error => {
+        console.error('❌ Re-encryption failed:', error.message);
+        process.exit(1);
+    });
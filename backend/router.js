@@ -0,0 +1,190 @@
+/**
+ * Minimal declarative router for the backend API
+ *
+ * Routes are registered per method with Express-style paths (`/api/accounts/:id/balances`).
+ * Each route runs a chain of handlers `(req, res, next)`; the last one usually sends the
+ * response. Before the chain runs the router sets `req.path`, `req.params`, `req.query`
+ * and `req.cookies`. Errors thrown (or rejected) inside a handler become JSON error
+ * responses using `error.status` (default 500).
+ */
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, payload, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Create an error carrying an HTTP status code
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Parse the Cookie header into a plain object
+ */
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            const value = pair.substring(separator + 1).trim();
+            try {
+                cookies[pair.substring(0, separator).trim()] = decodeURIComponent(value);
+            } catch (error) {
+                // Malformed escapes: keep the raw value rather than failing the request
+                cookies[pair.substring(0, separator).trim()] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Compile `/api/accounts/:id/balances` into a regex plus parameter names
+ */
+function compilePath(pattern) {
+    const paramNames = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                paramNames.push(segment.substring(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { regex: new RegExp(`^${source}/?$`), paramNames };
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.middleware = [];
+    }
+
+    /**
+     * Register middleware that runs before every matched route
+     */
+    use(handler) {
+        this.middleware.push(handler);
+        return this;
+    }
+
+    /**
+     * Register a route: router.route('GET', '/api/config', ...handlers)
+     */
+    route(method, pattern, ...handlers) {
+        if (handlers.length === 0) {
+            throw new Error(`Route ${method} ${pattern} has no handler`);
+        }
+
+        this.routes.push({ method, pattern, handlers, ...compilePath(pattern) });
+        return this;
+    }
+
+    get(pattern, ...handlers) {
+        return this.route('GET', pattern, ...handlers);
+    }
+
+    post(pattern, ...handlers) {
+        return this.route('POST', pattern, ...handlers);
+    }
+
+    put(pattern, ...handlers) {
+        return this.route('PUT', pattern, ...handlers);
+    }
+
+    patch(pattern, ...handlers) {
+        return this.route('PATCH', pattern, ...handlers);
+    }
+
+    delete(pattern, ...handlers) {
+        return this.route('DELETE', pattern, ...handlers);
+    }
+
+    /**
+     * Dispatch a request
+     * Returns false when no route matches the path (caller decides what to do),
+     * otherwise handles the request (including 405 responses) and returns true.
+     */
+    async handle(req, res) {
+        let url;
+        try {
+            url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        } catch (error) {
+            sendJson(res, 400, { success: false, error: 'Malformed request URL' });
+            return true;
+        }
+        const pathMatches = [];
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(url.pathname);
+            if (match) {
+                pathMatches.push({ route, match });
+            }
+        }
+
+        if (pathMatches.length === 0) {
+            return false;
+        }
+
+        const matched = pathMatches.find(({ route }) => route.method === req.method);
+        if (!matched) {
+            const allowed = [...new Set(pathMatches.map(({ route }) => route.method))];
+            sendJson(res, 405, {
+                success: false,
+                error: `Method ${req.method} not allowed for ${url.pathname}`
+            }, { 'Allow': allowed.join(', ') });
+            return true;
+        }
+
+        const { route, match } = matched;
+        req.path = url.pathname;
+        req.query = Object.fromEntries(url.searchParams);
+        req.cookies = parseCookies(req);
+
+        const chain = [...this.middleware, ...route.handlers];
+
+        const run = async (index) => {
+            if (index >= chain.length) return;
+            await chain[index](req, res, () => run(index + 1));
+        };
+
+        try {
+            req.params = {};
+            route.paramNames.forEach((name, i) => {
+                try {
+                    req.params[name] = decodeURIComponent(match[i + 1]);
+                } catch (error) {
+                    throw httpError(400, `Malformed path parameter: ${name}`);
+                }
+            });
+
+            await run(0);
+        } catch (error) {
+            const status = error.status || 500;
+            console.error(`❌ ${req.method} ${req.path} failed:`, error.message);
+
+            if (!res.headersSent) {
+                sendJson(res, status, { success: false, error: error.message });
+            }
+        }
+
+        return true;
+    }
+}
+
+module.exports = {
+    Router,
+    sendJson,
+    httpError,
+    parseCookies
+};
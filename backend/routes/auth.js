@@ -0,0 +1,69 @@
+/**
+ * App User Auth Routes (register, login, logout, current session)
+ */
+
+const { sendJson } = require('../router');
+const { jsonBody } = require('../body-parser');
+const { validate } = require('../validation');
+const auth = require('../auth');
+
+// Request schemas
+const credentialsBody = {
+    username: { type: 'string', required: true, minLength: 3, maxLength: 64 },
+    password: { type: 'string', required: true, maxLength: 256 }
+};
+
+/**
+ * Set-Cookie header for the user session (Max-Age=0 clears it)
+ */
+function sessionCookie(value, maxAgeSeconds) {
+    return `${auth.AUTH_CONFIG.cookie_name}=${value}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${maxAgeSeconds}`;
+}
+
+function registerAuthRoutes(router) {
+    // API endpoint: Create an account
+    router.post('/api/auth/register', jsonBody, validate(credentialsBody), async (req, res) => {
+        const user = await auth.registerUser(req.body.username, req.body.password);
+        console.log('👤 Registered user:', user.username);
+
+        sendJson(res, 201, { success: true, user: auth.formatUser(user) });
+    });
+
+    // API endpoint: Sign in and start a session
+    router.post('/api/auth/login', jsonBody, validate(credentialsBody), async (req, res) => {
+        const result = await auth.loginUser(req.body.username, req.body.password);
+        console.log('✅ User signed in:', result.user.username);
+
+        sendJson(res, 200, {
+            success: true,
+            user: auth.formatUser(result.user),
+            expires_at: result.session.expires_at
+        }, {
+            'Set-Cookie': sessionCookie(result.session_id, Math.floor(auth.AUTH_CONFIG.session_ttl_ms / 1000))
+        });
+    });
+
+    // API endpoint: End the session
+    router.post('/api/auth/logout', (req, res) => {
+        const session = auth.getUserSession(req);
+        if (session) {
+            auth.endUserSession(session.id);
+            console.log('👋 User signed out:', session.username);
+        }
+
+        sendJson(res, 200, { success: true }, { 'Set-Cookie': sessionCookie('', 0) });
+    });
+
+    // API endpoint: Who is calling?
+    router.get('/api/auth/session', async (req, res) => {
+        const user = await auth.authenticate(req);
+
+        sendJson(res, 200, {
+            success: true,
+            authenticated: !!user,
+            user: user ? { id: user.id, username: user.username, via: user.via } : null
+        });
+    });
+}
+
+module.exports = { registerAuthRoutes };
@@ -0,0 +1,233 @@
+/**
+ * Crypto Wallet API Routes
+ * Wallet sign-in sessions are bound to the signed-in app user, and saved
+ * wallets are only visible to the user who saved them.
+ */
+
+const { sendJson, httpError } = require('../router');
+const { jsonBody } = require('../body-parser');
+const { validate } = require('../validation');
+const { storage } = require('../storage');
+const { requireAuth } = require('../auth');
+const walletAuth = require('../wallet-auth');
+
+// Request schemas
+const signedMessageBody = {
+    address: { type: 'string', required: true },
+    signature: { type: 'string', required: true },
+    message: { type: 'string', required: true, maxLength: 4096 }
+};
+
+/**
+ * Run a verification step, turning malformed-input errors into 400 responses
+ */
+function asBadRequest(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+function registerCryptoRoutes(router) {
+    // API endpoint: Issue Sign-In With Ethereum nonce
+    router.get('/api/crypto/siwe/nonce', requireAuth, (req, res) => {
+        const result = walletAuth.issueSiweNonce(req.user.id);
+        console.log('🎲 Issued sign-in nonce, expires', result.expiration_time);
+
+        sendJson(res, 200, { success: true, ...result }, { 'Cache-Control': 'no-store' });
+    });
+
+    // API endpoint: Verify Sign-In With Ethereum message and start a session
+    router.post('/api/crypto/siwe/verify', requireAuth, jsonBody, validate({
+        message: { type: 'string', required: true, maxLength: 4096 },
+        signature: { type: 'string', required: true }
+    }), (req, res) => {
+        const { message, signature } = req.body;
+
+        console.log('🔐 Verifying sign-in message...');
+        const result = asBadRequest(() => walletAuth.verifySiweLogin(message, signature, req.user.id));
+
+        if (!result.verified) {
+            console.warn('❌ Sign-in signature does not match address');
+            sendJson(res, 401, {
+                success: false,
+                verified: false,
+                error: 'Signature was not produced by this wallet address'
+            });
+            return;
+        }
+
+        console.log('✅ Wallet signed in:', result.session.address);
+
+        const { cookie_name, session_ttl_ms } = walletAuth.SIWE_CONFIG;
+        const maxAge = Math.floor(session_ttl_ms / 1000);
+        sendJson(res, 200, {
+            success: true,
+            verified: true,
+            session: walletAuth.formatWalletSession(result.session)
+        }, {
+            'Set-Cookie': `${cookie_name}=${result.session_id}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${maxAge}`
+        });
+    });
+
+    // API endpoint: Current wallet session
+    router.get('/api/crypto/siwe/session', (req, res) => {
+        const session = walletAuth.getWalletSession(req);
+
+        sendJson(res, 200, {
+            success: true,
+            authenticated: !!session,
+            session: session ? walletAuth.formatWalletSession(session) : null
+        });
+    });
+
+    // API endpoint: End wallet session
+    router.post('/api/crypto/siwe/logout', (req, res) => {
+        const session = walletAuth.getWalletSession(req);
+        if (session) {
+            walletAuth.endWalletSession(session.id);
+            console.log('👋 Wallet signed out:', session.address);
+        }
+
+        sendJson(res, 200, { success: true }, {
+            'Set-Cookie': `${walletAuth.SIWE_CONFIG.cookie_name}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`
+        });
+    });
+
+    // API endpoint: Verify Wallet Signature
+    router.post('/api/crypto/verify-signature', jsonBody, validate(signedMessageBody), (req, res) => {
+        const { address, signature, message } = req.body;
+
+        console.log('🔐 Verifying wallet signature...');
+        console.log('📧 Address:', address);
+        console.log('✍️  Message:', message);
+
+        const result = asBadRequest(() => walletAuth.verifyWalletSignature(address, signature, message));
+
+        if (!result.verified) {
+            console.warn('❌ Signature does not match address');
+            if (result.recovered_address) {
+                console.warn('   Recovered:', result.recovered_address);
+            }
+            sendJson(res, 401, {
+                success: false,
+                verified: false,
+                error: 'Signature was not produced by this wallet address'
+            });
+            return;
+        }
+
+        console.log(`✅ Signature verification passed (${result.chain})`);
+
+        sendJson(res, 200, {
+            success: true,
+            verified: true,
+            chain: result.chain,
+            address: address,
+            message: message
+        });
+    });
+
+    // API endpoint: Save Crypto Wallet Connection
+    router.post('/api/crypto/save-connection', requireAuth, jsonBody, validate({
+        ...signedMessageBody,
+        provider: { type: 'string', maxLength: 64 },
+        network: { type: 'string', maxLength: 64 }
+    }), async (req, res) => {
+        const connectionData = req.body;
+
+        console.log('💾 Saving crypto wallet connection...');
+        console.log('📧 Address:', connectionData.address);
+        console.log('🔗 Network:', connectionData.network);
+        console.log('🏦 Provider:', connectionData.provider);
+
+        // Only the wallet signed in on this session (by this app user) may be saved
+        const session = walletAuth.getWalletSession(req);
+        if (!session || session.owner_id !== req.user.id ||
+            session.address.toLowerCase() !== String(connectionData.address).toLowerCase()) {
+            console.warn('❌ Refusing to save wallet without a matching sign-in session');
+            sendJson(res, 401, {
+                success: false,
+                error: 'Sign in with this wallet before saving it'
+            });
+            return;
+        }
+
+        // Never persist a wallet as verified unless the signature checks out
+        const verification = asBadRequest(() => walletAuth.verifyWalletSignature(
+            connectionData.address,
+            connectionData.signature,
+            connectionData.message
+        ));
+
+        if (!verification.verified) {
+            console.warn('❌ Refusing to save wallet with invalid signature');
+            sendJson(res, 401, {
+                success: false,
+                error: 'Signature was not produced by this wallet address'
+            });
+            return;
+        }
+
+        // Only the signed fields plus what the server sets; nothing else from the client is stored
+        const record = await storage.insert('wallet_connections', {
+            address: connectionData.address,
+            network: connectionData.network || null,
+            provider: connectionData.provider || null,
+            message: connectionData.message,
+            signature: connectionData.signature,
+            owner_id: req.user.id,
+            chain: verification.chain,
+            verified: true,
+            verified_at: new Date().toISOString(),
+            session_expires_at: session.expires_at,
+            connected_at: new Date().toISOString()
+        });
+
+        console.log('✅ Crypto wallet connection saved successfully!', record.id);
+
+        sendJson(res, 200, {
+            success: true,
+            message: 'Wallet connection saved successfully',
+            id: record.id
+        });
+    });
+
+    // API endpoint: List Crypto Wallet Connections
+    router.get('/api/crypto/connections', requireAuth, async (req, res) => {
+        const connections = await storage.find('wallet_connections', { owner_id: req.user.id });
+
+        console.log(`📊 Listed ${connections.length} wallet connections`);
+
+        sendJson(res, 200, {
+            success: true,
+            count: connections.length,
+            connections: connections
+        });
+    });
+
+    // API endpoint: Disconnect Crypto Wallet
+    router.post('/api/crypto/disconnect', requireAuth, jsonBody, validate({
+        address: { type: 'string', required: true }
+    }), async (req, res) => {
+        const { address } = req.body;
+
+        console.log('🗑️  Disconnecting wallet:', address);
+
+        const removed = await storage.removeWhere('wallet_connections', { address, owner_id: req.user.id });
+        if (removed === 0) {
+            throw httpError(400, 'Wallet connection not found');
+        }
+
+        console.log('✅ Wallet disconnected successfully');
+
+        sendJson(res, 200, {
+            success: true,
+            message: 'Wallet disconnected successfully',
+            address: address
+        });
+    });
+}
+
+module.exports = { registerCryptoRoutes };
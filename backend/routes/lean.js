@@ -0,0 +1,849 @@
+/**
+ * Lean API Routes
+ *
+ * Customers and entities belong to the app user who created/connected them;
+ * every customer- or entity-scoped route checks that ownership first.
+ *
+ * Data routes accept ?async=true: Lean then answers with a results ID instead of
+ * the data, the request is tracked in `lean_results` and the client polls
+ * /api/lean/results/:id until Lean (or its results.ready webhook) says it is done.
+ */
+
+const crypto = require('crypto');
+const { LEAN_CONFIG } = require('../config');
+const { sendJson, httpError } = require('../router');
+const { jsonBody } = require('../body-parser');
+const { validate } = require('../validation');
+const { storage } = require('../storage');
+const { requireAuth } = require('../auth');
+const { maskSecret } = require('../encryption');
+const { normalizeConsent, consentsFrom } = require('../consent-monitor');
+const lean = require('../lean');
+
+// Request schemas
+const asyncFlag = { type: 'string', enum: ['true', 'false'] };
+
+// Webhooks being stored (event id -> promise), so concurrent redeliveries never both insert
+const receivingWebhooks = new Map();
+
+const entityQuery = validate({
+    entity_id: { type: 'string', required: true },
+    async: asyncFlag
+}, 'query');
+
+/**
+ * Lean call options from the query string
+ */
+function dataOptions(req) {
+    return { async: req.query.async === 'true' };
+}
+
+/**
+ * Send a Lean data response
+ * An async answer ({ status: 'PENDING', results_id }) is recorded as a pending
+ * job owned by the caller and returned as 202 with the URL to poll.
+ */
+async function sendDataResult(req, res, type, result) {
+    if (result.status !== 'PENDING' || !result.results_id) {
+        sendJson(res, 200, result);
+        return;
+    }
+
+    await storage.insert('lean_results', {
+        owner_id: req.user.id,
+        results_id: result.results_id,
+        type: type,
+        entity_id: req.query.entity_id,
+        account_id: req.params.accountId || null,
+        status: 'PENDING'
+    });
+
+    console.log(`⏳ Lean ${type} request pending:`, result.results_id);
+
+    sendJson(res, 202, {
+        success: true,
+        status: 'PENDING',
+        results_id: result.results_id,
+        poll_url: `/api/lean/results/${result.results_id}`
+    });
+}
+
+/**
+ * Middleware: the customer_id in req[source] must belong to the caller
+ */
+function ownsCustomer(source = 'body') {
+    return async (req, res, next) => {
+        const owned = await storage.count('lean_customers', {
+            customer_id: req[source].customer_id,
+            owner_id: req.user.id
+        });
+        if (!owned) {
+            throw httpError(404, 'Lean customer not found');
+        }
+        return next();
+    };
+}
+
+/**
+ * The caller's saved connections for a customer, one per entity (latest save wins)
+ */
+async function customerEntities(ownerId, customerId) {
+    const connections = await storage.find('lean_connections', { owner_id: ownerId, customer_id: customerId });
+    return [...new Map(connections.map(connection => [connection.entity_id, connection])).values()];
+}
+
+/**
+ * Middleware: the entity_id in req[source] must be one of the caller's saved connections
+ */
+function ownsEntity(source = 'query') {
+    return async (req, res, next) => {
+        const owned = await storage.count('lean_connections', {
+            entity_id: req[source].entity_id,
+            owner_id: req.user.id
+        });
+        if (!owned) {
+            throw httpError(404, 'Lean entity not found');
+        }
+        return next();
+    };
+}
+
+/**
+ * Fetch a pending job's results from Lean and store them once Lean has finished
+ */
+async function completeResults(job) {
+    const result = await lean.getResults(job.results_id);
+    if (result.status === 'PENDING') {
+        return job;
+    }
+
+    const status = result.status === 'OK' ? 'READY' : 'FAILED';
+    console.log(`${status === 'READY' ? '✅' : '❌'} Lean ${job.type} results ${status.toLowerCase()}:`, job.results_id);
+
+    return storage.update('lean_results', job.id, {
+        status: status,
+        result: result,
+        completed_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Middleware: reject webhooks without a valid Lean-Signature (run after jsonBody)
+ */
+function verifyLeanSignature(req, res, next) {
+    if (!LEAN_CONFIG.webhook_secret) {
+        throw httpError(503, 'Lean webhooks are not configured (set LEAN_WEBHOOK_SECRET)');
+    }
+    if (!lean.verifyWebhookSignature(req.rawBody, req.headers['lean-signature'])) {
+        console.error('❌ Lean webhook rejected: invalid signature');
+        throw httpError(401, 'Invalid webhook signature');
+    }
+    return next();
+}
+
+/**
+ * Update every saved connection for an entity
+ */
+async function updateEntityConnections(entityId, changes) {
+    if (!entityId) {
+        return;
+    }
+
+    const connections = await storage.find('lean_connections', { entity_id: entityId });
+    for (const connection of connections) {
+        await storage.update('lean_connections', connection.id, changes);
+    }
+    console.log(`🔄 Entity ${entityId}: ${connections.length} connection(s) set to ${changes.status}`);
+}
+
+/**
+ * Apply a disconnecting event (consent revoked/expired, entity deleted)
+ */
+function markEntityDisconnected(payload, type) {
+    return updateEntityConnections(payload.entity_id || payload.id, {
+        status: 'DISCONNECTED',
+        disconnected_at: new Date().toISOString(),
+        disconnect_reason: type
+    });
+}
+
+/**
+ * Apply a (re)connecting event
+ */
+function markEntityActive(payload) {
+    return updateEntityConnections(payload.entity_id || payload.id, {
+        status: 'ACTIVE',
+        disconnected_at: null,
+        disconnect_reason: null
+    });
+}
+
+/**
+ * Middleware: load the caller's payment from :id into req.payment (404 otherwise)
+ */
+async function loadPayment(req, res, next) {
+    const payment = await storage.get('lean_payments', req.params.id);
+    if (!payment || payment.owner_id !== req.user.id) {
+        throw httpError(404, 'Payment not found');
+    }
+    req.payment = payment;
+    return next();
+}
+
+/**
+ * Public view of a payment destination (IBAN masked)
+ */
+function formatDestination(destination) {
+    const { iban, ...rest } = destination;
+    return { ...rest, iban_masked: maskSecret(iban) };
+}
+
+/**
+ * Latest status of a payment intent as reported by Lean
+ * Before Lean.pay() completes there are no payments on the intent yet.
+ */
+function intentStatus(intent) {
+    const payments = intent.payments || [];
+    const latest = payments[payments.length - 1];
+    return latest
+        ? { status: latest.status, payment_id: latest.id || null }
+        : { status: intent.status || 'AWAITING_AUTHORIZATION', payment_id: null };
+}
+
+/**
+ * Apply a payment.created / payment.updated event to the stored payment
+ */
+async function updatePaymentStatus(payload) {
+    const paymentIntentId = payload.intent_id || payload.payment_intent_id;
+    const payments = paymentIntentId ? await storage.find('lean_payments', { payment_intent_id: paymentIntentId }) : [];
+
+    for (const payment of payments) {
+        await storage.update('lean_payments', payment.id, {
+            status: payload.status || payment.status,
+            payment_id: payload.id || payment.payment_id,
+            failure_reason: payload.failure_reason || null,
+            status_updated_at: new Date().toISOString()
+        });
+        console.log(`💳 Payment ${payment.id} is now ${payload.status}`);
+    }
+}
+
+// Local state changes per Lean webhook type (other types are only stored)
+const WEBHOOK_HANDLERS = {
+    'entity.created': markEntityActive,
+    'entity.reconnected': markEntityActive,
+    'entity.deleted': markEntityDisconnected,
+    'consent.revoked': markEntityDisconnected,
+    'consent.expired': markEntityDisconnected,
+    'payment.created': updatePaymentStatus,
+    'payment.updated': updatePaymentStatus,
+    'results.ready': async payload => {
+        const resultsId = payload.results_id || payload.id;
+        const jobs = resultsId ? await storage.find('lean_results', { results_id: resultsId, status: 'PENDING' }) : [];
+
+        for (const job of jobs) {
+            await completeResults(job);
+        }
+    }
+};
+
+/**
+ * Store a Lean webhook unless that event was already received
+ * Lean's event_id is the idempotency key (the body hash when an event has none).
+ * Resolves to { event, duplicate }.
+ */
+function receiveLeanWebhook(webhookData, rawBody) {
+    const eventId = webhookData.event_id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    if (receivingWebhooks.has(eventId)) {
+        return receivingWebhooks.get(eventId).then(({ event }) => ({ event: event, duplicate: true }));
+    }
+
+    const run = (async () => {
+        const [existing] = await storage.find('webhook_events', { provider: 'lean', event_id: eventId });
+        if (existing) {
+            console.log('🔁 Duplicate Lean webhook ignored:', existing.id);
+            return { event: existing, duplicate: true };
+        }
+        const event = await lean.saveWebhookEvent({ ...webhookData, event_id: eventId });
+        return { event: event, duplicate: false };
+    })();
+
+    receivingWebhooks.set(eventId, run);
+    return run.finally(() => receivingWebhooks.delete(eventId));
+}
+
+/**
+ * Apply a stored Lean webhook to local state and record the outcome on the event
+ * Runs after Lean has its response; a failed results.ready fetch is retried by polling.
+ */
+async function dispatchLeanWebhook(event) {
+    const handler = WEBHOOK_HANDLERS[event.webhook_type];
+    if (!handler) {
+        return;
+    }
+
+    try {
+        await handler(event.payload || {}, event.webhook_type);
+        await storage.update('webhook_events', event.id, {
+            handler_status: 'SUCCEEDED',
+            handler_error: null,
+            processed_at: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`❌ Lean webhook ${event.webhook_type} handler failed:`, error.message);
+        await storage.update('webhook_events', event.id, {
+            handler_status: 'FAILED',
+            handler_error: error.message,
+            processed_at: new Date().toISOString()
+        });
+    }
+}
+
+function registerLeanRoutes(router) {
+    // API endpoint: Get available Lean banks
+    router.get('/api/lean/banks', async (req, res) => {
+        const result = await lean.getLeanBanks();
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get client configuration (safe to expose)
+    router.get('/api/config', (req, res) => {
+        sendJson(res, 200, {
+            client_id: LEAN_CONFIG.client_id,
+            auth_url: LEAN_CONFIG.auth_url,
+            api_url: LEAN_CONFIG.api_url
+        });
+    });
+
+    // API endpoint: Initialize customer (3-step flow)
+    router.post('/api/initialize-customer', requireAuth, jsonBody, validate({
+        app_user_id: { type: 'string', required: true, maxLength: 255 }
+    }), async (req, res) => {
+        const result = await lean.initializeCustomer(req.body.app_user_id);
+
+        // Remember who owns the new customer
+        if (result.success) {
+            await storage.insert('lean_customers', {
+                owner_id: req.user.id,
+                customer_id: result.customer_id,
+                app_user_id: result.app_user_id || req.body.app_user_id
+            });
+        }
+
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get tokens for existing customer (2-step flow)
+    router.post('/api/get-customer-tokens', requireAuth, jsonBody, validate({
+        customer_id: { type: 'string', required: true }
+    }), ownsCustomer(), async (req, res) => {
+        const result = await lean.getTokensForCustomer(req.body.customer_id);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Accounts (Proxy)
+    router.get('/api/accounts', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getAccounts(req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'accounts', result);
+    });
+
+    // API endpoint: Get Identity (Proxy)
+    router.get('/api/identity', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getIdentity(req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'identity', result);
+    });
+
+    // API endpoint: Get Account Balances (Proxy)
+    router.get('/api/accounts/:accountId/balances', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getAccountBalances(req.params.accountId, req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'balances', result);
+    });
+
+    // API endpoint: Get Account Transactions (Proxy)
+    // ?from_date=2025-01-01&to_date=2025-03-31&page=0&size=50, or all=true to walk every page
+    router.get('/api/accounts/:accountId/transactions', requireAuth, validate({
+        entity_id: { type: 'string', required: true },
+        from_date: { type: 'string', format: 'date' },
+        to_date: { type: 'string', format: 'date' },
+        page: { type: 'string', format: 'integer' },
+        size: { type: 'string', format: 'integer' },
+        all: { type: 'string', enum: ['true', 'false'] },
+        async: asyncFlag
+    }, 'query'), ownsEntity(), async (req, res) => {
+        const { entity_id, from_date, to_date, page, size, all } = req.query;
+
+        if (all === 'true' && req.query.async === 'true') {
+            throw httpError(400, 'all=true cannot be combined with async=true');
+        }
+
+        if (from_date && to_date && from_date > to_date) {
+            throw httpError(400, 'from_date must not be after to_date');
+        }
+        if (size !== undefined && parseInt(size, 10) < 1) {
+            throw httpError(400, 'size must be at least 1');
+        }
+
+        const options = {
+            from_date: from_date,
+            to_date: to_date,
+            page: page ? parseInt(page, 10) : 0,
+            size: size ? parseInt(size, 10) : undefined,
+            ...dataOptions(req)
+        };
+
+        if (all === 'true') {
+            sendJson(res, 200, await lean.getAllAccountTransactions(req.params.accountId, entity_id, options));
+            return;
+        }
+
+        const result = await lean.getAccountTransactions(req.params.accountId, entity_id, options);
+        await sendDataResult(req, res, 'transactions', result);
+    });
+
+    // API endpoint: Get Scheduled Payments (Proxy)
+    router.get('/api/accounts/:accountId/scheduled-payments', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getScheduledPayments(req.params.accountId, req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'scheduled_payments', result);
+    });
+
+    // API endpoint: Get Standing Orders (Proxy)
+    router.get('/api/accounts/:accountId/standing-orders', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getStandingOrders(req.params.accountId, req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'standing_orders', result);
+    });
+
+    // API endpoint: Get Direct Debits (Proxy)
+    router.get('/api/accounts/:accountId/direct-debits', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getDirectDebits(req.params.accountId, req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'direct_debits', result);
+    });
+
+    // API endpoint: Get Beneficiaries (Proxy)
+    router.get('/api/accounts/:accountId/beneficiaries', requireAuth, entityQuery, ownsEntity(), async (req, res) => {
+        const result = await lean.getBeneficiaries(req.params.accountId, req.query.entity_id, dataOptions(req));
+        await sendDataResult(req, res, 'beneficiaries', result);
+    });
+
+    // API endpoint: Poll an async data request
+    router.get('/api/lean/results/:id', requireAuth, async (req, res) => {
+        let [job] = await storage.find('lean_results', { results_id: req.params.id, owner_id: req.user.id });
+        if (!job) {
+            throw httpError(404, 'Results not found');
+        }
+
+        // Not completed by the webhook yet: ask Lean directly
+        if (job.status === 'PENDING') {
+            job = await completeResults(job);
+        }
+
+        sendJson(res, 200, {
+            success: job.status !== 'FAILED',
+            status: job.status,
+            results_id: job.results_id,
+            type: job.type,
+            completed_at: job.completed_at || null,
+            result: job.result || null
+        });
+    });
+
+    // API endpoint: List Consents
+    router.post('/api/consents', requireAuth, jsonBody, validate({
+        customer_id: { type: 'string', required: true },
+        entity_id: { type: 'string', required: true }
+    }), ownsCustomer(), ownsEntity('body'), async (req, res) => {
+        const { customer_id, entity_id } = req.body;
+        const result = await lean.listConsents(customer_id, entity_id);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Delete Consent
+    router.post('/api/consents/delete', requireAuth, jsonBody, validate({
+        customer_id: { type: 'string', required: true },
+        entity_id: { type: 'string', required: true },
+        consent_id: { type: 'string', required: true },
+        reason: { type: 'string' }
+    }), ownsCustomer(), ownsEntity('body'), async (req, res) => {
+        const { customer_id, entity_id, consent_id, reason } = req.body;
+        const result = await lean.deleteConsent(customer_id, entity_id, consent_id, reason || 'USER_REQUESTED');
+        sendJson(res, 200, { success: true, data: result });
+    });
+
+    // API endpoint: Consent dashboard - every entity of a customer with its consents
+    // ?days=N overrides how far ahead a consent counts as expiring soon
+    router.get('/api/lean/customers/:customer_id/consents', requireAuth, validate({
+        days: { type: 'string', format: 'integer' }
+    }, 'query'), ownsCustomer('params'), async (req, res) => {
+        const { customer_id } = req.params;
+        const warningDays = req.query.days ? parseInt(req.query.days, 10) : LEAN_CONFIG.consent_warning_days;
+
+        const entities = [];
+        for (const connection of await customerEntities(req.user.id, customer_id)) {
+            const entity = {
+                entity_id: connection.entity_id,
+                bank_identifier: connection.bank_identifier || null,
+                connection_status: connection.status || 'ACTIVE',
+                consent_checked_at: connection.consent_checked_at || null,
+                consents: []
+            };
+
+            try {
+                const result = await lean.listConsents(customer_id, connection.entity_id);
+                entity.consents = consentsFrom(result).map(consent => normalizeConsent(consent, warningDays));
+            } catch (error) {
+                entity.error = error.message;
+            }
+            entities.push(entity);
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            customer_id: customer_id,
+            warning_days: warningDays,
+            entities: entities
+        });
+    });
+
+    // API endpoint: Revoke several consents at once
+    router.post('/api/lean/customers/:customer_id/consents/revoke', requireAuth, ownsCustomer('params'), jsonBody, validate({
+        consents: { type: 'array', required: true, minLength: 1, maxLength: 50 },
+        reason: { type: 'string' }
+    }), async (req, res) => {
+        const { customer_id } = req.params;
+        const reason = req.body.reason || 'USER_REQUESTED';
+
+        const invalid = req.body.consents.some(item =>
+            !item || typeof item.entity_id !== 'string' || typeof item.consent_id !== 'string'
+        );
+        if (invalid) {
+            throw httpError(400, 'consents must be a list of { entity_id, consent_id }');
+        }
+
+        const ownedEntityIds = new Set((await customerEntities(req.user.id, customer_id)).map(connection => connection.entity_id));
+
+        const results = [];
+        for (const { entity_id, consent_id } of req.body.consents) {
+            if (!ownedEntityIds.has(entity_id)) {
+                results.push({ entity_id, consent_id, success: false, error: 'Lean entity not found' });
+                continue;
+            }
+            try {
+                await lean.deleteConsent(customer_id, entity_id, consent_id, reason);
+                results.push({ entity_id, consent_id, success: true });
+            } catch (error) {
+                results.push({ entity_id, consent_id, success: false, error: error.message });
+            }
+        }
+
+        const revoked = results.filter(result => result.success).length;
+        console.log(`🗑️ Bulk revoke: ${revoked} of ${results.length} consents revoked`);
+
+        sendJson(res, 200, {
+            success: revoked === results.length,
+            revoked: revoked,
+            results: results
+        });
+    });
+
+    // API endpoint: Connections the consent monitor flagged as expiring soon
+    router.get('/api/lean/consents/expiring', requireAuth, async (req, res) => {
+        const connections = await storage.find('lean_connections', { owner_id: req.user.id, consent_expiring_soon: true });
+
+        sendJson(res, 200, {
+            success: true,
+            warning_days: LEAN_CONFIG.consent_warning_days,
+            count: connections.length,
+            connections: connections.map(connection => ({
+                entity_id: connection.entity_id,
+                customer_id: connection.customer_id,
+                bank_identifier: connection.bank_identifier || null,
+                consent_expires_at: connection.consent_expires_at,
+                consent_checked_at: connection.consent_checked_at
+            }))
+        });
+    });
+
+    // API endpoint: Save connection details
+    router.post('/api/save-connection', requireAuth, jsonBody, validate({
+        entity_id: { type: 'string', required: true },
+        customer_id: { type: 'string', required: true },
+        bank_identifier: { type: 'string', maxLength: 255 },
+        consent_attempt_id: { type: 'string', maxLength: 255 }
+    }), ownsCustomer(), async (req, res) => {
+        const connectionData = req.body;
+
+        // The entity must really belong to this customer, or ownsEntity() would hand out someone else's bank data
+        const entities = await lean.getCustomerEntities(connectionData.customer_id);
+        if (!entities.some(entity => (entity.id || entity.entity_id) === connectionData.entity_id)) {
+            throw httpError(404, 'Lean entity not found for this customer');
+        }
+
+        // Only what the Link redirect reports plus what the server sets; consent state stays server-owned
+        const record = await storage.insert('lean_connections', {
+            entity_id: connectionData.entity_id,
+            customer_id: connectionData.customer_id,
+            bank_identifier: connectionData.bank_identifier || null,
+            consent_attempt_id: connectionData.consent_attempt_id || null,
+            owner_id: req.user.id,
+            status: 'ACTIVE',
+            timestamp: new Date().toISOString(),
+            saved_at: new Date().toLocaleString()
+        });
+
+        console.log('💾 Connection details saved:', record.id);
+        console.log('   Entity ID:', connectionData.entity_id);
+        console.log('   Customer ID:', connectionData.customer_id);
+
+        sendJson(res, 200, {
+            success: true,
+            id: record.id
+        });
+    });
+
+    // ========================================
+    // LEAN PAYMENTS ENDPOINTS
+    // ========================================
+
+    // API endpoint: Create Payment Intent (then launch Lean.pay() with payment_intent_id)
+    router.post('/api/lean/payment-intents', requireAuth, jsonBody, validate({
+        customer_id: { type: 'string', required: true },
+        amount: { type: 'number', required: true, min: 0.01 },
+        currency: { type: 'string', enum: ['SAR'] },
+        payment_destination_id: { type: 'string' },
+        description: { type: 'string', maxLength: 140 }
+    }), ownsCustomer(), async (req, res) => {
+        const { customer_id, amount, payment_destination_id, description } = req.body;
+        const currency = req.body.currency || 'SAR';
+
+        // Paying anyone other than the default destination needs a beneficiary registered with Lean
+        // (Lean and the customer's bank confirm it during Lean.pay()) that you haven't flagged
+        if (payment_destination_id) {
+            const [beneficiary] = await storage.find('lean_beneficiaries', {
+                owner_id: req.user.id,
+                customer_id: customer_id,
+                payment_destination_id: payment_destination_id
+            });
+            if (!beneficiary) {
+                throw httpError(409, 'Payment destination is not a beneficiary of this customer');
+            }
+            if (beneficiary.local_review === 'FLAGGED') {
+                throw httpError(409, 'Beneficiary is flagged; mark it OK before paying it');
+            }
+        }
+
+        const intent = await lean.createPaymentIntent({
+            customerId: customer_id,
+            amount: amount,
+            currency: currency,
+            paymentDestinationId: payment_destination_id,
+            description: description
+        });
+
+        const payment = await storage.insert('lean_payments', {
+            owner_id: req.user.id,
+            customer_id: customer_id,
+            payment_intent_id: intent.payment_intent_id,
+            payment_destination_id: payment_destination_id || intent.payment_destination_id || null,
+            amount: amount,
+            currency: currency,
+            description: description || null,
+            ...intentStatus(intent)
+        });
+
+        console.log('💾 Payment saved:', payment.id);
+
+        sendJson(res, 201, { success: true, payment: payment });
+    });
+
+    // API endpoint: Register a Payment Destination (payee)
+    router.post('/api/lean/payment-destinations', requireAuth, jsonBody, validate({
+        display_name: { type: 'string', required: true, maxLength: 100 },
+        name: { type: 'string', required: true, maxLength: 140 },
+        iban: { type: 'string', required: true, format: 'iban' },
+        bank_identifier: { type: 'string' },
+        address: { type: 'string', required: true, maxLength: 255 },
+        city: { type: 'string', required: true, maxLength: 100 },
+        country: { type: 'string', enum: ['SAU'] }
+    }), async (req, res) => {
+        const { display_name, name, iban, bank_identifier, address, city } = req.body;
+        const country = req.body.country || 'SAU';
+
+        const result = await lean.createPaymentDestination({
+            display_name, name, iban, bank_identifier, address, city, country
+        });
+
+        const destination = await storage.insert('lean_payment_destinations', {
+            owner_id: req.user.id,
+            payment_destination_id: result.payment_destination_id || result.id,
+            display_name, name, iban, bank_identifier: bank_identifier || null, address, city, country
+        });
+
+        console.log('💾 Payment destination saved:', destination.id);
+
+        sendJson(res, 201, { success: true, destination: formatDestination(destination) });
+    });
+
+    // API endpoint: List the caller's Payment Destinations
+    router.get('/api/lean/payment-destinations', requireAuth, async (req, res) => {
+        const destinations = await storage.find('lean_payment_destinations', { owner_id: req.user.id });
+        sendJson(res, 200, {
+            success: true,
+            count: destinations.length,
+            destinations: destinations.map(formatDestination)
+        });
+    });
+
+    // API endpoint: Register one of the caller's destinations with Lean as a customer's beneficiary
+    router.post('/api/lean/customers/:customer_id/beneficiaries', requireAuth, ownsCustomer('params'), jsonBody, validate({
+        payment_destination_id: { type: 'string', required: true }
+    }), async (req, res) => {
+        const { customer_id } = req.params;
+        const { payment_destination_id } = req.body;
+
+        const [destination] = await storage.find('lean_payment_destinations', {
+            payment_destination_id: payment_destination_id,
+            owner_id: req.user.id
+        });
+        if (!destination) {
+            throw httpError(404, 'Payment destination not found');
+        }
+        if (await storage.count('lean_beneficiaries', { owner_id: req.user.id, customer_id, payment_destination_id }) > 0) {
+            throw httpError(409, 'Payment destination is already a beneficiary of this customer');
+        }
+
+        await lean.addCustomerBeneficiary(customer_id, payment_destination_id);
+
+        const beneficiary = await storage.insert('lean_beneficiaries', {
+            owner_id: req.user.id,
+            customer_id: customer_id,
+            payment_destination_id: payment_destination_id,
+            display_name: destination.display_name,
+            local_review: 'UNREVIEWED'
+        });
+
+        console.log('💾 Beneficiary saved:', beneficiary.id);
+
+        sendJson(res, 201, { success: true, beneficiary: beneficiary });
+    });
+
+    // API endpoint: List a customer's beneficiaries
+    router.get('/api/lean/customers/:customer_id/beneficiaries', requireAuth, ownsCustomer('params'), async (req, res) => {
+        const beneficiaries = await storage.find('lean_beneficiaries', {
+            owner_id: req.user.id,
+            customer_id: req.params.customer_id
+        });
+        sendJson(res, 200, { success: true, count: beneficiaries.length, beneficiaries: beneficiaries });
+    });
+
+    // API endpoint: Set a beneficiary's review status
+    // Kept on our side (never sent to Lean); FLAGGED beneficiaries can't be paid
+    router.patch('/api/lean/customers/:customer_id/beneficiaries/:id', requireAuth, ownsCustomer('params'), jsonBody, validate({
+        local_review: { type: 'string', required: true, enum: ['UNREVIEWED', 'OK', 'FLAGGED'] }
+    }), async (req, res) => {
+        const beneficiary = await storage.get('lean_beneficiaries', req.params.id);
+        if (!beneficiary || beneficiary.owner_id !== req.user.id || beneficiary.customer_id !== req.params.customer_id) {
+            throw httpError(404, 'Beneficiary not found');
+        }
+
+        const updated = await storage.update('lean_beneficiaries', beneficiary.id, {
+            local_review: req.body.local_review,
+            reviewed_at: new Date().toISOString()
+        });
+
+        console.log(`👥 Beneficiary ${beneficiary.id} marked ${req.body.local_review}`);
+
+        sendJson(res, 200, { success: true, beneficiary: updated });
+    });
+
+    // API endpoint: List the caller's payments
+    router.get('/api/lean/payments', requireAuth, async (req, res) => {
+        const payments = await storage.find('lean_payments', { owner_id: req.user.id }, { order: 'desc' });
+        sendJson(res, 200, { success: true, count: payments.length, payments: payments });
+    });
+
+    // API endpoint: Payment status (kept current by payment.* webhooks; ?refresh=true asks Lean)
+    router.get('/api/lean/payments/:id', requireAuth, validate({
+        refresh: { type: 'string', enum: ['true', 'false'] }
+    }, 'query'), loadPayment, async (req, res) => {
+        let payment = req.payment;
+
+        if (req.query.refresh === 'true') {
+            const intent = await lean.getPaymentIntent(payment.payment_intent_id);
+            payment = await storage.update('lean_payments', payment.id, {
+                ...intentStatus(intent),
+                status_updated_at: new Date().toISOString()
+            });
+        }
+
+        sendJson(res, 200, { success: true, payment: payment });
+    });
+
+    // ========================================
+    // LEAN WEBHOOK ENDPOINTS
+    // ========================================
+
+    // API endpoint: Lean Webhook Receiver
+    // Lean POSTs entity, consent, payment and results events here, signed with LEAN_WEBHOOK_SECRET
+    router.post('/api/lean/webhook', jsonBody, verifyLeanSignature, validate({
+        type: { type: 'string', required: true },
+        payload: { type: 'object' }
+    }), async (req, res) => {
+        const webhookData = req.body;
+
+        console.log('='.repeat(50));
+        console.log('🔔 WEBHOOK RECEIVED FROM LEAN');
+        console.log('='.repeat(50));
+        console.log('Type:', webhookData.type);
+        console.log('Event ID:', webhookData.event_id);
+        console.log('='.repeat(50));
+
+        // Store it once (Lean redelivers until it gets a 2xx), answer, then apply it to local state
+        const { event, duplicate } = await receiveLeanWebhook(webhookData, req.rawBody);
+
+        sendJson(res, 200, {
+            success: true,
+            message: duplicate ? 'Webhook already received' : 'Webhook received',
+            event_id: event.id,
+            duplicate: duplicate
+        });
+
+        if (!duplicate) {
+            dispatchLeanWebhook(event).catch(error => {
+                console.error('❌ Lean webhook dispatch failed:', error.message);
+            });
+        }
+    });
+
+    // API endpoint: List received Lean webhooks for the caller's customers and entities
+    router.get('/api/lean/webhooks', requireAuth, validate({
+        limit: { type: 'string', format: 'integer' },
+        type: { type: 'string' }
+    }, 'query'), async (req, res) => {
+        const ownedEntityIds = new Set(
+            (await storage.find('lean_connections', { owner_id: req.user.id })).map(conn => conn.entity_id)
+        );
+        const ownedCustomerIds = new Set(
+            (await storage.find('lean_customers', { owner_id: req.user.id })).map(customer => customer.customer_id)
+        );
+
+        const filter = { provider: 'lean' };
+        if (req.query.type) {
+            filter.webhook_type = req.query.type;
+        }
+        // Newest first, so limit keeps the latest events
+        const webhooks = (await storage.find('webhook_events', filter))
+            .filter(event => ownedEntityIds.has(event.entity_id) || ownedCustomerIds.has(event.customer_id))
+            .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)))
+            .slice(0, req.query.limit ? parseInt(req.query.limit, 10) : undefined);
+
+        console.log(`📊 Listed ${webhooks.length} received Lean webhooks`);
+
+        sendJson(res, 200, {
+            success: true,
+            count: webhooks.length,
+            webhooks: webhooks
+        });
+    });
+}
+
+module.exports = { registerLeanRoutes };
@@ -0,0 +1,712 @@
+/**
+ * Plaid API Routes (including webhook receiver and Sandbox helpers)
+ *
+ * Access tokens never leave the server: exchange-token stores the Item and
+ * returns an opaque connection ID, and every Item call goes through
+ * /api/plaid/connections/:id/... which looks the token up server-side.
+ * Connections belong to the signed-in app user who linked them.
+ */
+
+const { sendJson, httpError } = require('../router');
+const { jsonBody } = require('../body-parser');
+const { validate } = require('../validation');
+const { storage } = require('../storage');
+const { maskSecret } = require('../encryption');
+const { requireAuth } = require('../auth');
+const { PLAID_CONFIG } = require('../config');
+const plaid = require('../plaid');
+const plaidSync = require('../plaid-sync');
+const plaidWebhooks = require('../plaid-webhooks');
+
+/**
+ * Load the caller's saved connection named by `:id` into req.plaidConnection
+ * (requireAuth must run first)
+ */
+async function loadConnection(req, res, next) {
+    const connection = await storage.get('plaid_connections', req.params.id);
+    if (!connection || connection.owner_id !== req.user.id) {
+        throw httpError(404, 'Plaid connection not found');
+    }
+    req.plaidConnection = connection;
+    return next();
+}
+
+/**
+ * Middleware: reject webhooks without a valid Plaid-Verification JWT (run after jsonBody)
+ */
+async function verifyPlaidWebhook(req, res, next) {
+    let result;
+    try {
+        result = await plaid.verifyWebhook(req.rawBody, req.headers['plaid-verification']);
+    } catch (error) {
+        result = { reason: `could not verify (${error.message})` };
+    }
+
+    if (result.reason) {
+        console.error('❌ Plaid webhook rejected:', result.reason);
+        throw httpError(401, 'Invalid webhook signature');
+    }
+    req.plaidVerification = result.claims;
+    return next();
+}
+
+/**
+ * Saved connection as returned to clients: opaque ID, masked token
+ */
+function formatConnection(connection) {
+    const { access_token, transactions_cursor, ...details } = connection;
+    return {
+        ...details,
+        access_token_masked: maskSecret(access_token)
+    };
+}
+
+/**
+ * Link token settings from a request body, checked against the allowlists in PLAID_CONFIG.link
+ */
+function linkTokenOptions(body) {
+    const link = PLAID_CONFIG.link;
+    const options = {};
+
+    const allowedList = (field, allowed) => {
+        if (body[field] === undefined || body[field] === null) {
+            return;
+        }
+        if (body[field].some(value => !allowed.includes(value))) {
+            throw httpError(400, `${field} may only contain: ${allowed.join(', ')}`);
+        }
+        options[field] = [...new Set(body[field])];
+    };
+    allowedList('products', link.allowed_products);
+    allowedList('required_if_supported_products', link.allowed_products);
+    allowedList('country_codes', link.allowed_country_codes);
+
+    if (body.language) {
+        options.language = body.language;
+    }
+
+    // URLs must be configured up front so a caller cannot send Link (or Item webhooks) elsewhere
+    if (body.redirect_uri) {
+        if (!link.redirect_uris.includes(body.redirect_uri)) {
+            throw httpError(400, 'redirect_uri is not one of PLAID_REDIRECT_URIS');
+        }
+        options.redirect_uri = body.redirect_uri;
+    }
+    if (body.webhook) {
+        if (!link.webhook_urls.includes(body.webhook)) {
+            throw httpError(400, 'webhook is not one of PLAID_WEBHOOK_URLS');
+        }
+        options.webhook = body.webhook;
+    }
+
+    // { depository: { account_subtypes: ['checking', 'savings'] }, credit: { ... } }
+    if (body.account_filters) {
+        options.account_filters = {};
+        for (const [type, filter] of Object.entries(body.account_filters)) {
+            if (!link.allowed_account_types.includes(type)) {
+                throw httpError(400, `account_filters may only contain: ${link.allowed_account_types.join(', ')}`);
+            }
+            const subtypes = filter && filter.account_subtypes;
+            if (!Array.isArray(subtypes) || subtypes.length === 0 || subtypes.some(subtype => typeof subtype !== 'string' || !/^[a-z0-9 ]+$/.test(subtype))) {
+                throw httpError(400, `account_filters.${type}.account_subtypes must be a non-empty list of subtype names`);
+            }
+            options.account_filters[type] = { account_subtypes: subtypes };
+        }
+    }
+
+    return options;
+}
+
+function registerPlaidRoutes(router) {
+    // API endpoint: Create Plaid Link Token
+    // Products, countries, language, redirect URI, account filters and webhook are optional
+    // and limited to the allowlists in PLAID_CONFIG.link (see GET /api/plaid/link-options)
+    router.post('/api/plaid/create-link-token', requireAuth, jsonBody, validate({
+        user_id: { type: 'string', maxLength: 255 },
+        institution_id: { type: 'string' },
+        products: { type: 'array', minLength: 1 },
+        required_if_supported_products: { type: 'array' },
+        country_codes: { type: 'array', minLength: 1 },
+        language: { type: 'string', enum: PLAID_CONFIG.link.allowed_languages },
+        redirect_uri: { type: 'string' },
+        webhook: { type: 'string' },
+        account_filters: { type: 'object' }
+    }), async (req, res) => {
+        const { user_id, institution_id } = req.body;
+        const options = linkTokenOptions(req.body);
+
+        try {
+            const result = await plaid.createPlaidLinkToken(user_id || req.user.id, {
+                ...options,
+                institution_id: institution_id || null
+            });
+            sendJson(res, 200, result);
+        } catch (error) {
+            console.error('❌ Create Link Token Failed:', error);
+
+            // Check if this is an INVALID_INSTITUTION error from Plaid
+            const errorMessage = error.message || '';
+            const isInvalidInstitution = errorMessage.includes('INVALID_INSTITUTION');
+
+            // Return appropriate status code
+            sendJson(res, isInvalidInstitution ? 400 : 500, {
+                error: error.message,
+                error_type: isInvalidInstitution ? 'INVALID_INSTITUTION' : 'SERVER_ERROR'
+            });
+        }
+    });
+
+    // API endpoint: What create-link-token accepts, and what it uses by default
+    router.get('/api/plaid/link-options', (req, res) => {
+        const link = PLAID_CONFIG.link;
+        sendJson(res, 200, {
+            success: true,
+            allowed: {
+                products: link.allowed_products,
+                country_codes: link.allowed_country_codes,
+                languages: link.allowed_languages,
+                account_types: link.allowed_account_types,
+                redirect_uris: link.redirect_uris,
+                webhook_urls: link.webhook_urls
+            },
+            defaults: {
+                products: link.default_products,
+                required_if_supported_products: link.default_required_if_supported_products,
+                country_codes: link.default_country_codes,
+                language: link.default_language,
+                redirect_uri: link.redirect_uris[0] || null,
+                webhook: link.webhook_urls[0] || null
+            }
+        });
+    });
+
+    // API endpoint: Exchange Plaid Public Token
+    // The Item is saved here so the access token is never sent to the browser
+    router.post('/api/plaid/exchange-token', requireAuth, jsonBody, validate({
+        public_token: { type: 'string', required: true },
+        user_id: { type: 'string', maxLength: 255 },
+        institution_id: { type: 'string' },
+        institution_name: { type: 'string' },
+        accounts: { type: 'array' }
+    }), async (req, res) => {
+        const { public_token, ...connectionData } = req.body;
+        const result = await plaid.exchangePlaidPublicToken(public_token);
+
+        // Only the Link metadata plus what the server sets; cursors and Item state stay server-owned
+        const record = await storage.insert('plaid_connections', {
+            user_id: connectionData.user_id || null,
+            institution_id: connectionData.institution_id || null,
+            institution_name: connectionData.institution_name || null,
+            accounts: connectionData.accounts || [],
+            owner_id: req.user.id,
+            access_token: result.access_token,
+            item_id: result.item_id,
+            status: 'HEALTHY',
+            timestamp: new Date().toISOString(),
+            saved_at: new Date().toLocaleString()
+        });
+
+        console.log('💾 Plaid connection details saved:', record.id);
+        console.log('   Item ID:', result.item_id);
+        console.log('   Institution:', connectionData.institution_name);
+
+        sendJson(res, 200, {
+            success: true,
+            connection_id: record.id,
+            item_id: result.item_id,
+            access_token_masked: maskSecret(result.access_token)
+        });
+    });
+
+    // API endpoint: List All Plaid Connections
+    const listConnections = async (req, res) => {
+        const connections = await storage.find('plaid_connections', { owner_id: req.user.id });
+
+        console.log(`📊 Listed ${connections.length} Plaid connections`);
+
+        // Tokens stay on the server; clients refer to connections by ID
+        sendJson(res, 200, {
+            success: true,
+            count: connections.length,
+            connections: connections.map(formatConnection)
+        });
+    };
+    router.get('/api/plaid/connections', requireAuth, listConnections);
+    router.get('/api/plaid/list-connections', requireAuth, listConnections);
+
+    // API endpoint: List All Plaid Users/Customers
+    // Only the caller's own connections are aggregated
+    router.get('/api/plaid/list-users', requireAuth, async (req, res) => {
+        const connections = await storage.find('plaid_connections', { owner_id: req.user.id });
+
+        // Group connections by user_id and aggregate data
+        const usersMap = {};
+
+        connections.forEach(conn => {
+            const userId = conn.user_id || 'unknown';
+
+            if (!usersMap[userId]) {
+                usersMap[userId] = {
+                    user_id: userId,
+                    connection_count: 0,
+                    connections: [],
+                    first_connection: conn.timestamp,
+                    last_connection: conn.timestamp,
+                    institutions: []
+                };
+            }
+
+            usersMap[userId].connection_count++;
+            usersMap[userId].connections.push({
+                id: conn.id,
+                item_id: conn.item_id,
+                institution_name: conn.institution_name,
+                institution_id: conn.institution_id,
+                timestamp: conn.timestamp,
+                accounts_count: conn.accounts ? conn.accounts.length : 0
+            });
+
+            // Track unique institutions
+            if (conn.institution_name && !usersMap[userId].institutions.includes(conn.institution_name)) {
+                usersMap[userId].institutions.push(conn.institution_name);
+            }
+
+            // Update timestamps
+            if (new Date(conn.timestamp) < new Date(usersMap[userId].first_connection)) {
+                usersMap[userId].first_connection = conn.timestamp;
+            }
+            if (new Date(conn.timestamp) > new Date(usersMap[userId].last_connection)) {
+                usersMap[userId].last_connection = conn.timestamp;
+            }
+        });
+
+        // Convert to array
+        const users = Object.values(usersMap);
+
+        console.log(`👥 Listed ${users.length} unique Plaid users with ${connections.length} total connections`);
+
+        sendJson(res, 200, {
+            success: true,
+            user_count: users.length,
+            total_connections: connections.length,
+            users: users
+        });
+    });
+
+    // ========================================
+    // PLAID CONNECTION RESOURCES
+    // ========================================
+
+    // API endpoint: Get one saved connection
+    router.get('/api/plaid/connections/:id', requireAuth, loadConnection, (req, res) => {
+        sendJson(res, 200, {
+            success: true,
+            connection: formatConnection(req.plaidConnection)
+        });
+    });
+
+    // API endpoint: Remove/Disconnect Plaid Item (and forget the saved connection)
+    router.delete('/api/plaid/connections/:id', requireAuth, loadConnection, async (req, res) => {
+        const result = await plaid.removePlaidItem(req.plaidConnection.access_token);
+        await storage.removeWhere('plaid_transactions', { connection_id: req.plaidConnection.id });
+        await storage.remove('plaid_connections', req.plaidConnection.id);
+
+        console.log('🗑️  Removed saved Plaid connection:', req.plaidConnection.id);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Investment Holdings
+    router.get('/api/plaid/connections/:id/investments/holdings', requireAuth, validate({
+        account_ids: { type: 'string' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const accountIds = req.query.account_ids ? req.query.account_ids.split(',').filter(Boolean) : null;
+        const result = await plaid.getPlaidInvestmentHoldings(req.plaidConnection.access_token, accountIds);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Investment Transactions
+    // ?start_date=&end_date= (default last 30 days), &account_ids=a,b&count=100&offset=0
+    router.get('/api/plaid/connections/:id/investments/transactions', requireAuth, validate({
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        account_ids: { type: 'string' },
+        count: { type: 'string', format: 'integer' },
+        offset: { type: 'string', format: 'integer' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const { start_date, end_date, account_ids, count, offset } = req.query;
+
+        const endDateFinal = end_date || new Date().toISOString().split('T')[0];
+        const startDateFinal = start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        if (startDateFinal > endDateFinal) {
+            throw httpError(400, 'start_date must not be after end_date');
+        }
+
+        const options = {};
+        if (account_ids) {
+            options.account_ids = account_ids.split(',').filter(Boolean);
+        }
+        if (count) {
+            const countValue = parseInt(count, 10);
+            if (countValue < 1 || countValue > 500) {
+                throw httpError(400, 'count must be between 1 and 500');
+            }
+            options.count = countValue;
+        }
+        if (offset) {
+            options.offset = parseInt(offset, 10);
+        }
+
+        const result = await plaid.getPlaidInvestmentTransactions(req.plaidConnection.access_token, startDateFinal, endDateFinal, options);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Liabilities (credit, student and mortgage accounts)
+    router.get('/api/plaid/connections/:id/liabilities', requireAuth, validate({
+        account_ids: { type: 'string' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const accountIds = req.query.account_ids ? req.query.account_ids.split(',').filter(Boolean) : null;
+        const result = await plaid.getPlaidLiabilities(req.plaidConnection.access_token, accountIds);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Identity (account owners on file at the bank)
+    router.get('/api/plaid/connections/:id/identity', requireAuth, validate({
+        account_ids: { type: 'string' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const accountIds = req.query.account_ids ? req.query.account_ids.split(',').filter(Boolean) : null;
+        const result = await plaid.getPlaidIdentity(req.plaidConnection.access_token, accountIds);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Score user-supplied details against the account owners (ownership check before payouts)
+    router.post('/api/plaid/connections/:id/identity/match', requireAuth, jsonBody, validate({
+        legal_name: { type: 'string', maxLength: 255 },
+        email_address: { type: 'string', maxLength: 255 },
+        phone_number: { type: 'string', maxLength: 32 },
+        address: { type: 'object' },
+        account_ids: { type: 'array' }
+    }), loadConnection, async (req, res) => {
+        const { account_ids, ...fields } = req.body;
+
+        const user = {};
+        ['legal_name', 'email_address', 'phone_number'].forEach(field => {
+            if (fields[field]) {
+                user[field] = fields[field];
+            }
+        });
+        if (fields.address) {
+            const address = {};
+            ['street', 'city', 'region', 'postal_code', 'country'].forEach(field => {
+                if (typeof fields.address[field] === 'string' && fields.address[field]) {
+                    address[field] = fields.address[field];
+                }
+            });
+            if (Object.keys(address).length > 0) {
+                user.address = address;
+            }
+        }
+        if (Object.keys(user).length === 0) {
+            throw httpError(400, 'Provide at least one of legal_name, email_address, phone_number or address');
+        }
+
+        const result = await plaid.matchPlaidIdentity(req.plaidConnection.access_token, user, account_ids);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Link token for update mode (re-authenticate a broken Item)
+    router.post('/api/plaid/connections/:id/link-token', requireAuth, loadConnection, async (req, res) => {
+        const connection = req.plaidConnection;
+        const result = await plaid.createPlaidLinkToken(connection.user_id || req.user.id, {
+            access_token: connection.access_token
+        });
+
+        console.log('🔁 Update-mode Link token created for connection:', connection.id);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Link update mode finished - confirm with Plaid and record the Item's status
+    router.post('/api/plaid/connections/:id/reconnected', requireAuth, loadConnection, async (req, res) => {
+        const { item } = await plaid.getPlaidItem(req.plaidConnection.access_token);
+        const error = item && item.error;
+
+        const changes = error
+            ? {
+                status: error.error_code === 'ITEM_LOGIN_REQUIRED' ? 'LOGIN_REQUIRED' : 'ERROR',
+                needs_reauth: true,
+                item_error: { error_code: error.error_code, error_message: error.error_message }
+            }
+            : { status: 'HEALTHY', needs_reauth: false, item_error: null, reconnected_at: new Date().toISOString() };
+        await plaidWebhooks.updateItemConnections(req.plaidConnection.item_id, {
+            ...changes,
+            status_updated_at: new Date().toISOString()
+        });
+
+        if (error) {
+            throw httpError(409, `Item still needs attention: ${error.error_code}`);
+        }
+
+        console.log('✅ Plaid connection repaired:', req.plaidConnection.id);
+        sendJson(res, 200, {
+            success: true,
+            connection: formatConnection(await storage.get('plaid_connections', req.plaidConnection.id))
+        });
+    });
+
+    // API endpoint: Get Plaid Accounts
+    router.get('/api/plaid/connections/:id/accounts', requireAuth, loadConnection, async (req, res) => {
+        const result = await plaid.getPlaidAccounts(req.plaidConnection.access_token);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Balances (with optional filtering)
+    // ?account_ids=id1,id2&min_last_updated_datetime=2025-01-01T00:00:00Z
+    router.get('/api/plaid/connections/:id/balances', requireAuth, validate({
+        account_ids: { type: 'string' },
+        min_last_updated_datetime: { type: 'string', format: 'date-time' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const { account_ids, min_last_updated_datetime } = req.query;
+
+        const options = {};
+        if (account_ids) {
+            options.account_ids = account_ids.split(',').filter(Boolean);
+        }
+        if (min_last_updated_datetime) {
+            options.min_last_updated_datetime = min_last_updated_datetime;
+        }
+
+        const result = await plaid.getPlaidBalances(req.plaidConnection.access_token, options);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Plaid Transactions
+    router.get('/api/plaid/connections/:id/transactions', requireAuth, validate({
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const { start_date, end_date } = req.query;
+
+        // Default to last 30 days if dates not provided
+        const endDateFinal = end_date || new Date().toISOString().split('T')[0];
+        const startDateFinal = start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        const result = await plaid.getPlaidTransactions(req.plaidConnection.access_token, startDateFinal, endDateFinal);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Sync transactions into the local ledger (/transactions/sync)
+    // Only changes since the saved cursor are fetched; { reset: true } starts over
+    router.post('/api/plaid/connections/:id/transactions/sync', requireAuth, jsonBody, validate({
+        reset: { type: 'boolean' }
+    }), loadConnection, async (req, res) => {
+        if (req.body.reset) {
+            const removed = await plaidSync.resetConnectionTransactions(req.plaidConnection);
+            console.log(`🗑️  Cleared ${removed} stored transactions for connection:`, req.plaidConnection.id);
+        }
+
+        const summary = await plaidSync.syncConnectionTransactions(req.plaidConnection);
+        sendJson(res, 200, { success: true, ...summary });
+    });
+
+    // API endpoint: Read the local transaction ledger (newest first)
+    router.get('/api/plaid/connections/:id/transactions/stored', requireAuth, validate({
+        account_id: { type: 'string' },
+        limit: { type: 'string', format: 'integer' },
+        offset: { type: 'string', format: 'integer' }
+    }, 'query'), loadConnection, async (req, res) => {
+        const filter = { connection_id: req.plaidConnection.id };
+        if (req.query.account_id) {
+            filter.account_id = req.query.account_id;
+        }
+
+        const records = (await storage.find('plaid_transactions', filter))
+            .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+        const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : records.length;
+
+        sendJson(res, 200, {
+            success: true,
+            total: records.length,
+            synced_at: req.plaidConnection.transactions_synced_at || null,
+            transactions: records.slice(offset, offset + limit).map(record => record.transaction)
+        });
+    });
+
+    // API endpoint: Get Plaid Auth
+    router.get('/api/plaid/connections/:id/auth', requireAuth, loadConnection, async (req, res) => {
+        const result = await plaid.getPlaidAuth(req.plaidConnection.access_token);
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Payment Initiation Recipients
+    router.post('/api/plaid/recipients', requireAuth, async (req, res) => {
+        const result = await plaid.getPlaidRecipients();
+        sendJson(res, 200, result);
+    });
+
+    // API endpoint: Get Institutions (Banks)
+    router.post('/api/plaid/institutions', jsonBody, validate({
+        country_code: { type: 'string', minLength: 2, maxLength: 2 },
+        count: { type: 'integer', min: 1, max: 500 },
+        offset: { type: 'integer', min: 0 }
+    }), async (req, res) => {
+        const { country_code, count, offset } = req.body;
+
+        const result = await plaid.getPlaidInstitutions(
+            country_code || 'US',
+            count || 500,
+            offset || 0
+        );
+        sendJson(res, 200, result);
+    });
+
+    // ========================================
+    // PLAID WEBHOOK ENDPOINTS
+    // ========================================
+
+    // API endpoint: Plaid Webhook Receiver
+    // This is the endpoint Plaid will POST to when events occur (signed with a Plaid-Verification JWT)
+    router.post('/api/plaid/webhook', jsonBody, verifyPlaidWebhook, validate({
+        webhook_type: { type: 'string', required: true },
+        webhook_code: { type: 'string', required: true }
+    }), async (req, res) => {
+        const webhookData = req.body;
+
+        console.log('='.repeat(50));
+        console.log('🔔 WEBHOOK RECEIVED FROM PLAID');
+        console.log('='.repeat(50));
+        console.log('Webhook Type:', webhookData.webhook_type);
+        console.log('Webhook Code:', webhookData.webhook_code);
+        console.log('Item ID:', webhookData.item_id);
+        console.log('Full Payload:', JSON.stringify(webhookData, null, 2));
+        console.log('='.repeat(50));
+
+        // Store each signed delivery once, answer, then run its handler
+        const { event, duplicate } = await plaidWebhooks.receiveWebhook(webhookData, req.plaidVerification);
+
+        // Plaid expects a 200 response
+        sendJson(res, 200, {
+            success: true,
+            message: duplicate ? 'Webhook already received' : 'Webhook received and processed',
+            event_id: event.id,
+            duplicate: duplicate
+        });
+
+        if (!duplicate) {
+            plaidWebhooks.dispatchWebhookEvent(event).catch(error => {
+                console.error('❌ Webhook dispatch failed:', error.message);
+            });
+        }
+    });
+
+    // API endpoint: List All Received Webhooks
+    router.get('/api/plaid/webhooks', requireAuth, validate({
+        limit: { type: 'string', format: 'integer' },
+        item_id: { type: 'string' }
+    }, 'query'), async (req, res) => {
+        // Only events for the caller's own Items
+        const ownedItemIds = new Set(
+            (await storage.find('plaid_connections', { owner_id: req.user.id })).map(conn => conn.item_id)
+        );
+        const filter = req.query.item_id ? { item_id: req.query.item_id } : {};
+        // Newest first, so limit keeps the latest events
+        const webhooks = (await storage.find('webhook_events', filter))
+            .filter(event => ownedItemIds.has(event.item_id))
+            .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)))
+            .slice(0, req.query.limit ? parseInt(req.query.limit, 10) : undefined);
+
+        console.log(`📊 Listed ${webhooks.length} received webhooks`);
+
+        sendJson(res, 200, {
+            success: true,
+            count: webhooks.length,
+            webhooks: webhooks
+        });
+    });
+
+    // API endpoint: Notifications scheduled by webhook handlers (e.g. consent about to expire)
+    router.get('/api/plaid/notifications', requireAuth, validate({
+        due: { type: 'string', enum: ['true', 'false'] }
+    }, 'query'), async (req, res) => {
+        const now = new Date().toISOString();
+        const notifications = (await storage.find('plaid_notifications', { owner_id: req.user.id }, { order: 'desc' }))
+            .map(notification => ({ ...notification, due: notification.notify_at <= now }))
+            .filter(notification => req.query.due !== 'true' || notification.due);
+
+        sendJson(res, 200, {
+            success: true,
+            count: notifications.length,
+            notifications: notifications
+        });
+    });
+
+    // API endpoint: Fire Plaid Webhook (Sandbox Testing)
+    router.post('/api/plaid/connections/:id/sandbox/fire-webhook', requireAuth, jsonBody, validate({
+        webhook_code: { type: 'string', required: true }
+    }), loadConnection, async (req, res) => {
+        const { webhook_code } = req.body;
+        const result = await plaid.firePlaidWebhook(req.plaidConnection.access_token, webhook_code);
+
+        sendJson(res, 200, {
+            success: true,
+            message: `Webhook ${webhook_code} fired successfully`,
+            result: result
+        });
+    });
+
+    // API endpoint: Reset Plaid Item Login (Sandbox Testing)
+    router.post('/api/plaid/connections/:id/sandbox/reset-login', requireAuth, loadConnection, async (req, res) => {
+        const result = await plaid.resetPlaidLogin(req.plaidConnection.access_token);
+
+        // Record it now too, in case the webhook cannot reach this server
+        await plaidWebhooks.updateItemConnections(req.plaidConnection.item_id, {
+            status: 'LOGIN_REQUIRED',
+            needs_reauth: true,
+            item_error: { error_code: 'ITEM_LOGIN_REQUIRED', error_message: 'Login reset in Sandbox' },
+            status_updated_at: new Date().toISOString()
+        });
+
+        sendJson(res, 200, {
+            success: true,
+            message: 'Item login reset - ITEM_LOGIN_REQUIRED webhook will be sent',
+            result: result
+        });
+    });
+
+    // API endpoint: Create Sandbox Transaction (Sandbox Testing)
+    router.post('/api/plaid/connections/:id/sandbox/transactions', requireAuth, jsonBody, validate({
+        amount: { type: 'number', required: true },
+        name: { type: 'string', required: true },
+        description: { type: 'string' },
+        date: { type: 'string', format: 'date' }
+    }), loadConnection, async (req, res) => {
+        const { amount, name, description, date } = req.body;
+
+        // Create transaction object
+        // Note: Plaid's /sandbox/transactions/create accepts:
+        // date_transacted, date_posted, amount, description (required)
+        // Does NOT accept: name, currency_code
+        const transactionDate = date || new Date().toISOString().split('T')[0];
+        const transactions = [{
+            date_transacted: transactionDate,
+            date_posted: transactionDate,
+            amount: parseFloat(amount),
+            description: description || name || 'Transaction'
+        }];
+
+        // Log transaction details (name/description are for our records only)
+        console.log(`   Transaction: ${name} - ${parseFloat(amount) >= 0 ? '+' : ''}$${parseFloat(amount).toFixed(2)}`);
+        console.log(`   Description: ${description || name}`);
+
+        const result = await plaid.createPlaidTransaction(req.plaidConnection.access_token, transactions);
+
+        sendJson(res, 200, {
+            success: true,
+            message: 'Transaction created successfully',
+            transaction_name: name,
+            transaction_description: description || name,
+            result: result
+        });
+    });
+}
+
+module.exports = { registerPlaidRoutes };
@@ -0,0 +1,127 @@
+/**
+ * Encrypting storage wrapper
+ *
+ * Wraps any driver so the sensitive fields of each collection are envelope
+ * encrypted before they reach disk and decrypted on the way out. Each encrypted
+ * field also gets a `<field>_hash` blind index so filters on it keep working;
+ * the hash fields are internal and never returned to callers.
+ */
+
+const { ENCRYPTION_CONFIG } = require('../config');
+const { isEncrypted, encryptValue, decryptValue, blindIndex } = require('../encryption');
+const { applyQueryOptions } = require('./query');
+
+class EncryptedStore {
+    /**
+     * @param {Object} driver - FileStore or SqliteStore
+     * @param {Object<string, string[]>} fields - Collection name -> fields to encrypt
+     */
+    constructor(driver, fields) {
+        this.driver = driver;
+        this.fields = fields;
+    }
+
+    sensitiveFields(collection) {
+        return this.fields[collection] || [];
+    }
+
+    encryptRecord(collection, data) {
+        const record = { ...data };
+        this.sensitiveFields(collection).forEach(field => {
+            const value = record[field];
+            if (value === undefined || value === null || isEncrypted(value)) return;
+            record[`${field}_hash`] = blindIndex(value);
+            record[field] = encryptValue(value, `${collection}.${field}`);
+        });
+        return record;
+    }
+
+    decryptRecord(collection, record) {
+        if (!record) {
+            return record;
+        }
+        const decrypted = { ...record };
+        this.sensitiveFields(collection).forEach(field => {
+            delete decrypted[`${field}_hash`];
+            if (decrypted[field] !== undefined && decrypted[field] !== null) {
+                decrypted[field] = decryptValue(decrypted[field], `${collection}.${field}`);
+            }
+        });
+        return decrypted;
+    }
+
+    /**
+     * Translate a filter on encrypted fields into blind index filters
+     * Records keep the hash of the key they were written with until re-encrypted,
+     * so one driver filter is returned per configured master key.
+     */
+    driverFilters(collection, filter = {}) {
+        const sensitive = this.sensitiveFields(collection).filter(field => field in filter && filter[field] !== null);
+        if (sensitive.length === 0) {
+            return [filter];
+        }
+
+        return Object.keys(ENCRYPTION_CONFIG.keys).map(keyId => {
+            const translated = { ...filter };
+            sensitive.forEach(field => {
+                delete translated[field];
+                translated[`${field}_hash`] = blindIndex(filter[field], keyId);
+            });
+            return translated;
+        });
+    }
+
+    async insert(collection, data) {
+        const record = await this.driver.insert(collection, this.encryptRecord(collection, data));
+        return this.decryptRecord(collection, record);
+    }
+
+    async get(collection, id) {
+        return this.decryptRecord(collection, await this.driver.get(collection, id));
+    }
+
+    async find(collection, filter = {}, options = {}) {
+        const filters = this.driverFilters(collection, filter);
+        let records;
+
+        if (filters.length === 1) {
+            records = await this.driver.find(collection, filters[0], options);
+        } else {
+            const { limit, offset, ...unpaged } = options;
+            const results = await Promise.all(filters.map(f => this.driver.find(collection, f, unpaged)));
+            records = applyQueryOptions([].concat(...results), options);
+        }
+
+        return records.map(record => this.decryptRecord(collection, record));
+    }
+
+    async count(collection, filter = {}) {
+        const counts = await Promise.all(
+            this.driverFilters(collection, filter).map(f => this.driver.count(collection, f))
+        );
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    async update(collection, id, changes) {
+        const record = await this.driver.update(collection, id, this.encryptRecord(collection, changes));
+        return this.decryptRecord(collection, record);
+    }
+
+    async remove(collection, id) {
+        return this.driver.remove(collection, id);
+    }
+
+    async removeWhere(collection, filter) {
+        let removed = 0;
+        for (const f of this.driverFilters(collection, filter)) {
+            removed += await this.driver.removeWhere(collection, f);
+        }
+        return removed;
+    }
+
+    async close() {
+        return this.driver.close();
+    }
+}
+
+module.exports = { EncryptedStore };
@@ -0,0 +1,193 @@
+/**
+ * File-backed storage driver
+ *
+ * Each collection is one JSON array of records on disk. Every operation runs
+ * under a per-collection lock (an in-process queue plus an exclusive `.lock`
+ * file so separate processes such as CLI scripts do not interleave), reads the
+ * current file and, for writes, replaces it atomically via temp file + rename.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { matchesFilter, applyQueryOptions } = require('./query');
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock file older than this is assumed to be left over from a crashed process
+const LOCK_STALE_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class FileStore {
+    /**
+     * @param {Object<string, string>} files - Collection name -> JSON file path
+     */
+    constructor(files) {
+        this.files = files;
+        this.queues = {};
+    }
+
+    filePath(collection) {
+        const file = this.files[collection];
+        if (!file) {
+            throw new Error(`Unknown storage collection: ${collection}`);
+        }
+        return file;
+    }
+
+    /**
+     * Acquire the cross-process lock file, retrying until LOCK_TIMEOUT_MS
+     */
+    async acquireFileLock(lockPath) {
+        const startedAt = Date.now();
+
+        while (true) {
+            try {
+                const fd = fs.openSync(lockPath, 'wx');
+                fs.writeSync(fd, String(process.pid));
+                fs.closeSync(fd);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+
+                try {
+                    if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+                        fs.unlinkSync(lockPath);
+                        continue;
+                    }
+                } catch (statError) {
+                    // Lock disappeared between open and stat - retry immediately
+                    continue;
+                }
+
+                if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+                    throw new Error(`Timed out waiting for storage lock ${path.basename(lockPath)}`);
+                }
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+    }
+
+    /**
+     * Run `fn(records, save)` with the collection locked
+     * Calling `save(records)` writes the new array back before the lock is released.
+     */
+    withLock(collection, fn) {
+        const file = this.filePath(collection);
+        const lockPath = `${file}.lock`;
+
+        const run = async () => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            await this.acquireFileLock(lockPath);
+            try {
+                let pending = null;
+                const result = await fn(this.readRecords(file), records => {
+                    pending = records;
+                });
+                if (pending) {
+                    this.writeRecords(file, pending);
+                }
+                return result;
+            } finally {
+                fs.rmSync(lockPath, { force: true });
+            }
+        };
+
+        // Chain onto the collection's queue so calls in this process run one at a time
+        const previous = this.queues[collection] || Promise.resolve();
+        const next = previous.then(run, run);
+        this.queues[collection] = next.catch(() => {});
+        return next;
+    }
+
+    readRecords(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        const data = fs.readFileSync(file, 'utf8');
+        return data.trim() ? JSON.parse(data) : [];
+    }
+
+    writeRecords(file, records) {
+        const tmpPath = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(records, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, file);
+    }
+
+    async insert(collection, data) {
+        const now = new Date().toISOString();
+        const record = {
+            ...data,
+            id: crypto.randomUUID(),
+            created_at: data.created_at || now,
+            updated_at: now
+        };
+
+        return this.withLock(collection, (records, save) => {
+            records.push(record);
+            save(records);
+            return record;
+        });
+    }
+
+    async get(collection, id) {
+        return this.withLock(collection, records => records.find(record => record.id === id) || null);
+    }
+
+    async find(collection, filter = {}, options = {}) {
+        return this.withLock(collection, records =>
+            applyQueryOptions(records.filter(record => matchesFilter(record, filter)), options)
+        );
+    }
+
+    async count(collection, filter = {}) {
+        return this.withLock(collection, records =>
+            records.filter(record => matchesFilter(record, filter)).length
+        );
+    }
+
+    async update(collection, id, changes) {
+        return this.withLock(collection, (records, save) => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) {
+                return null;
+            }
+            records[index] = {
+                ...records[index],
+                ...changes,
+                id: records[index].id,
+                created_at: records[index].created_at,
+                updated_at: new Date().toISOString()
+            };
+            save(records);
+            return records[index];
+        });
+    }
+
+    async remove(collection, id) {
+        return this.removeWhere(collection, { id }).then(count => count > 0);
+    }
+
+    async removeWhere(collection, filter) {
+        return this.withLock(collection, (records, save) => {
+            const kept = records.filter(record => !matchesFilter(record, filter));
+            if (kept.length !== records.length) {
+                save(kept);
+            }
+            return records.length - kept.length;
+        });
+    }
+
+    async close() {
+        await Promise.all(Object.values(this.queues));
+    }
+}
+
+module.exports = { FileStore };
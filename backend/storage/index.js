@@ -0,0 +1,179 @@
+/**
+ * Persistence layer
+ *
+ * Every driver implements the same async interface over named collections:
+ *   insert(collection, data)             -> record (with id, created_at, updated_at)
+ *   get(collection, id)                  -> record | null
+ *   find(collection, filter?, options?)  -> records ({ order, limit, offset })
+ *   count(collection, filter?)           -> number
+ *   update(collection, id, changes)      -> record | null
+ *   remove(collection, id)               -> boolean
+ *   removeWhere(collection, filter)      -> number removed
+ *   close()
+ *
+ * The driver is chosen with STORAGE_DRIVER (file | sqlite) and wrapped in an
+ * EncryptedStore so each collection's `encrypted` fields never hit disk in plaintext.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, STORAGE_CONFIG } = require('../config');
+const { FileStore } = require('./file-store');
+const { SqliteStore } = require('./sqlite-store');
+const { EncryptedStore } = require('./encrypted-store');
+
+/**
+ * Known collections
+ * dir: where the file driver keeps the collection (under STORAGE_CONFIG.data_dir)
+ * legacyLog: the old append-only all_*.json array in the project root's dir, imported on first start (if any)
+ * indexes: fields the SQLite driver indexes for lookups
+ * encrypted: fields stored envelope encrypted (looked up via their `<field>_hash`)
+ */
+const COLLECTIONS = {
+    lean_connections: {
+        dir: 'connections',
+        legacyLog: 'all_connections.json',
+        indexes: ['owner_id', 'entity_id_hash', 'customer_id_hash'],
+        encrypted: ['entity_id', 'customer_id']
+    },
+    plaid_connections: {
+        dir: 'plaid-connections',
+        legacyLog: 'all_plaid_connections.json',
+        indexes: ['owner_id', 'item_id', 'user_id'],
+        encrypted: ['access_token']
+    },
+    wallet_connections: {
+        dir: 'wallet-connections',
+        legacyLog: 'all_wallet_connections.json',
+        indexes: ['owner_id', 'address']
+    },
+    plaid_transactions: {
+        dir: 'data',
+        indexes: ['owner_id', 'connection_id', 'transaction_id', 'account_id'],
+        encrypted: ['transaction']
+    },
+    plaid_notifications: {
+        dir: 'data',
+        indexes: ['owner_id', 'connection_id', 'status']
+    },
+    webhook_events: {
+        dir: 'webhooks',
+        legacyLog: 'all_webhooks.json',
+        indexes: ['provider', 'item_id', 'webhook_type', 'webhook_code', 'event_id', 'handler_status', 'entity_id_hash', 'customer_id_hash'],
+        encrypted: ['entity_id', 'customer_id', 'payload']
+    },
+    users: {
+        dir: 'data',
+        indexes: ['username']
+    },
+    lean_customers: {
+        dir: 'data',
+        indexes: ['owner_id', 'customer_id_hash'],
+        encrypted: ['customer_id']
+    },
+    lean_payment_destinations: {
+        dir: 'data',
+        indexes: ['owner_id', 'payment_destination_id'],
+        encrypted: ['iban']
+    },
+    lean_beneficiaries: {
+        dir: 'data',
+        indexes: ['owner_id', 'customer_id_hash', 'payment_destination_id'],
+        encrypted: ['customer_id']
+    },
+    lean_payments: {
+        dir: 'data',
+        indexes: ['owner_id', 'payment_intent_id'],
+        encrypted: ['customer_id']
+    },
+    lean_results: {
+        dir: 'data',
+        indexes: ['owner_id', 'results_id'],
+        encrypted: ['entity_id', 'result']
+    }
+};
+
+/**
+ * Move a store file left in the project root (which is served) into the data directory
+ */
+function relocate(oldFile, newFile) {
+    if (oldFile === newFile || !fs.existsSync(oldFile) || fs.existsSync(newFile)) {
+        return;
+    }
+    fs.mkdirSync(path.dirname(newFile), { recursive: true });
+    fs.renameSync(oldFile, newFile);
+    console.log(`📦 Moved ${path.relative(ROOT_DIR, oldFile)} to ${newFile}`);
+}
+
+/**
+ * Create the raw storage driver (no encryption)
+ */
+function createDriver({ driver, data_dir, sqlite_path }) {
+    if (driver === 'sqlite') {
+        const indexes = {};
+        Object.entries(COLLECTIONS).forEach(([name, { indexes: fields }]) => {
+            indexes[name] = fields;
+        });
+        if (sqlite_path === path.join(data_dir, 'lean-sdk.db')) {
+            relocate(path.join(ROOT_DIR, 'data', 'lean-sdk.db'), sqlite_path);
+        }
+        return new SqliteStore(sqlite_path, indexes);
+    }
+
+    if (driver === 'file') {
+        const files = {};
+        Object.entries(COLLECTIONS).forEach(([name, { dir }]) => {
+            files[name] = path.join(data_dir, dir, `${name}.json`);
+            relocate(path.join(ROOT_DIR, dir, `${name}.json`), files[name]);
+        });
+        return new FileStore(files);
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected file or sqlite)`);
+}
+
+/**
+ * Create a storage driver that encrypts each collection's sensitive fields
+ */
+function createStorage(config) {
+    const fields = {};
+    Object.entries(COLLECTIONS).forEach(([name, { encrypted }]) => {
+        fields[name] = encrypted || [];
+    });
+    return new EncryptedStore(createDriver(config), fields);
+}
+
+/**
+ * Import the old all_*.json append logs into the store once
+ * Each imported log is renamed to *.migrated so it is not imported twice.
+ */
+async function migrateLegacyLogs(store) {
+    for (const [name, { dir, legacyLog }] of Object.entries(COLLECTIONS)) {
+        if (!legacyLog) continue;
+
+        const logFile = path.join(ROOT_DIR, dir, legacyLog);
+        if (!fs.existsSync(logFile)) continue;
+
+        const data = fs.readFileSync(logFile, 'utf8');
+        const records = data.trim() ? JSON.parse(data) : [];
+
+        for (const record of records) {
+            await store.insert(name, {
+                ...record,
+                created_at: record.timestamp || record.received_at || record.connected_at
+            });
+        }
+
+        fs.renameSync(logFile, `${logFile}.migrated`);
+        console.log(`📦 Imported ${records.length} legacy records into ${name}`);
+    }
+}
+
+const storage = createStorage(STORAGE_CONFIG);
+
+module.exports = {
+    COLLECTIONS,
+    createStorage,
+    migrateLegacyLogs,
+    storage
+};
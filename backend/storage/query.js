@@ -0,0 +1,35 @@
+/**
+ * Shared query helpers for storage drivers
+ *
+ * Filters are plain objects of top-level field -> value, matched by equality
+ * (all fields must match). Options: { order: 'asc' | 'desc', limit, offset },
+ * ordered by created_at.
+ */
+
+/**
+ * Does a record match every field in the filter?
+ */
+function matchesFilter(record, filter = {}) {
+    return Object.entries(filter).every(([field, value]) => {
+        if (value === null) {
+            return record[field] === null || record[field] === undefined;
+        }
+        return record[field] === value;
+    });
+}
+
+/**
+ * Apply ordering and pagination to an in-memory result set
+ */
+function applyQueryOptions(records, { order = 'asc', limit, offset = 0 } = {}) {
+    const sorted = [...records].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    if (order === 'desc') {
+        sorted.reverse();
+    }
+    return limit === undefined ? sorted.slice(offset) : sorted.slice(offset, offset + limit);
+}
+
+module.exports = {
+    matchesFilter,
+    applyQueryOptions
+};
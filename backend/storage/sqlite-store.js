@@ -0,0 +1,165 @@
+/**
+ * SQLite storage driver (embedded, via better-sqlite3)
+ *
+ * Each collection is a table of (id, created_at, updated_at, data JSON).
+ * Filters are translated to json_extract() comparisons and the fields listed
+ * in `indexes` get expression indexes so lookups by item/entity/address stay fast.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class SqliteStore {
+    /**
+     * @param {string} dbPath - Database file path
+     * @param {Object<string, string[]>} indexes - Collection name -> indexed fields
+     */
+    constructor(dbPath, indexes) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.collections = new Set(Object.keys(indexes));
+
+        Object.entries(indexes).forEach(([collection, fields]) => {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (
+                id TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            )`);
+            this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${collection}_created_at ON ${collection} (created_at)`);
+            fields.forEach(field => {
+                this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${collection}_${field} ON ${collection} (json_extract(data, '$.${field}'))`);
+            });
+        });
+    }
+
+    table(collection) {
+        // Table names are interpolated into SQL, so only known collections are allowed
+        if (!this.collections.has(collection)) {
+            throw new Error(`Unknown storage collection: ${collection}`);
+        }
+        return collection;
+    }
+
+    /**
+     * Build a WHERE clause and parameters from an equality filter
+     */
+    where(filter = {}) {
+        const clauses = [];
+        const params = [];
+
+        Object.entries(filter).forEach(([field, value]) => {
+            if (!/^[A-Za-z0-9_]+$/.test(field)) {
+                throw new Error(`Invalid filter field: ${field}`);
+            }
+
+            const column = ['id', 'created_at', 'updated_at'].includes(field)
+                ? field
+                : `json_extract(data, '$.${field}')`;
+
+            if (value === null) {
+                clauses.push(`${column} IS NULL`);
+            } else {
+                clauses.push(`${column} = ?`);
+                // json_extract returns 1/0 for JSON booleans
+                params.push(typeof value === 'boolean' ? Number(value) : value);
+            }
+        });
+
+        return {
+            sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    toRecord(row) {
+        return row ? { ...JSON.parse(row.data), id: row.id, created_at: row.created_at, updated_at: row.updated_at } : null;
+    }
+
+    toRow(record) {
+        const { id, created_at, updated_at, ...data } = record;
+        return { id, created_at, updated_at, data: JSON.stringify(data) };
+    }
+
+    async insert(collection, data) {
+        const now = new Date().toISOString();
+        const record = {
+            ...data,
+            id: crypto.randomUUID(),
+            created_at: data.created_at || now,
+            updated_at: now
+        };
+
+        this.db.prepare(`INSERT INTO ${this.table(collection)} (id, created_at, updated_at, data)
+            VALUES (@id, @created_at, @updated_at, @data)`).run(this.toRow(record));
+        return record;
+    }
+
+    async get(collection, id) {
+        const row = this.db.prepare(`SELECT * FROM ${this.table(collection)} WHERE id = ?`).get(id);
+        return this.toRecord(row);
+    }
+
+    async find(collection, filter = {}, { order = 'asc', limit, offset = 0 } = {}) {
+        const { sql, params } = this.where(filter);
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+        const rows = this.db.prepare(`SELECT * FROM ${this.table(collection)} ${sql}
+            ORDER BY created_at ${direction}, rowid ${direction}
+            LIMIT ? OFFSET ?`).all(...params, limit === undefined ? -1 : limit, offset);
+        return rows.map(row => this.toRecord(row));
+    }
+
+    async count(collection, filter = {}) {
+        const { sql, params } = this.where(filter);
+        return this.db.prepare(`SELECT COUNT(*) AS count FROM ${this.table(collection)} ${sql}`).get(...params).count;
+    }
+
+    async update(collection, id, changes) {
+        const table = this.table(collection);
+
+        // Read-modify-write inside one transaction so concurrent updates cannot interleave
+        const apply = this.db.transaction(() => {
+            const existing = this.toRecord(this.db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+            if (!existing) {
+                return null;
+            }
+
+            const updated = {
+                ...existing,
+                ...changes,
+                id: existing.id,
+                created_at: existing.created_at,
+                updated_at: new Date().toISOString()
+            };
+            this.db.prepare(`UPDATE ${table} SET updated_at = @updated_at, data = @data WHERE id = @id`)
+                .run(this.toRow(updated));
+            return updated;
+        });
+
+        return apply();
+    }
+
+    async remove(collection, id) {
+        return this.removeWhere(collection, { id }).then(count => count > 0);
+    }
+
+    async removeWhere(collection, filter) {
+        const { sql, params } = this.where(filter);
+        return this.db.prepare(`DELETE FROM ${this.table(collection)} ${sql}`).run(...params).changes;
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = { SqliteStore };
@@ -0,0 +1,136 @@
+/**
+ * Declarative request validation
+ *
+ * A schema maps field names to rules:
+ *   {
+ *     access_token: { type: 'string', required: true },
+ *     start_date:   { type: 'string', format: 'date' },
+ *     count:        { type: 'integer', min: 1, max: 500 }
+ *   }
+ *
+ * Supported rules: type (string, number, integer, boolean, object, array),
+ * required, format (see FORMATS), enum, min/max (numbers), minLength/maxLength
+ * (strings and arrays). Unknown fields are left alone.
+ */
+
+const { sendJson } = require('./router');
+
+const FORMATS = {
+    // YYYY-MM-DD that is also a real calendar date
+    'date': value => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return !isNaN(parsed) && parsed.toISOString().startsWith(value);
+    },
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+    // Non-negative integer sent as a string (query parameters)
+    'integer': value => /^\d+$/.test(value),
+    'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    // Upper-case IBAN without spaces, with a valid ISO 13616 (mod 97) check digit
+    'iban': value => {
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+        const digits = (value.slice(4) + value.slice(0, 4)).replace(/[A-Z]/g, c => c.charCodeAt(0) - 55);
+        return digits.match(/\d{1,7}/g).reduce((rest, chunk) => Number(rest + chunk) % 97, '') === 1;
+    }
+};
+
+/**
+ * Check a value against a single type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate `data` against `schema`, returning a list of error messages
+ */
+function validateSchema(data, schema) {
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, rules]) => {
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rules.required) {
+                errors.push(`${field} is required`);
+            }
+            return;
+        }
+
+        if (rules.type && !matchesType(value, rules.type)) {
+            errors.push(`${field} must be of type ${rules.type}`);
+            return;
+        }
+
+        if (rules.format) {
+            const check = FORMATS[rules.format];
+            if (!check) {
+                throw new Error(`Unknown validation format: ${rules.format}`);
+            }
+            if (typeof value !== 'string' || !check(value)) {
+                errors.push(`${field} must be a valid ${rules.format}${rules.format === 'date' ? ' (YYYY-MM-DD)' : ''}`);
+            }
+        }
+
+        if (rules.enum && !rules.enum.includes(value)) {
+            errors.push(`${field} must be one of: ${rules.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (rules.min !== undefined && value < rules.min) {
+                errors.push(`${field} must be >= ${rules.min}`);
+            }
+            if (rules.max !== undefined && value > rules.max) {
+                errors.push(`${field} must be <= ${rules.max}`);
+            }
+        }
+
+        if (typeof value === 'string' || Array.isArray(value)) {
+            if (rules.minLength !== undefined && value.length < rules.minLength) {
+                errors.push(`${field} must have length >= ${rules.minLength}`);
+            }
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+                errors.push(`${field} must have length <= ${rules.maxLength}`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Middleware: validate `req.body` (or `req.query`) against a schema
+ * Responds 400 with every problem found; run after jsonBody for bodies.
+ */
+function validate(schema, source = 'body') {
+    return function validateRequest(req, res, next) {
+        const errors = validateSchema(req[source] || {}, schema);
+
+        if (errors.length > 0) {
+            sendJson(res, 400, {
+                success: false,
+                error: errors.join('; '),
+                details: errors
+            });
+            return;
+        }
+        return next();
+    };
+}
+
+module.exports = {
+    FORMATS,
+    validateSchema,
+    validate
+};
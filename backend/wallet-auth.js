@@ -0,0 +1,324 @@
+/**
+ * Crypto Wallet Authentication
+ * Signature verification (EIP-191 / Solana ed25519) and Sign-In With Ethereum sessions
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SIWE_CONFIG } = require('./config');
+const { parseCookies } = require('./router');
+
+// DER header for an Ed25519 SubjectPublicKeyInfo; the 32 raw key bytes follow it
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Decode a base58 string (Solana addresses/signatures) to a fixed-length buffer
+ */
+function decodeBase58(value, length) {
+    const bytes = ethers.getBytes(ethers.toBeArray(ethers.decodeBase58(value)));
+    if (bytes.length > length) {
+        throw new Error(`Invalid base58 value: expected ${length} bytes`);
+    }
+
+    const padded = Buffer.alloc(length);
+    padded.set(bytes, length - bytes.length);
+    return padded;
+}
+
+/**
+ * Detect which chain family an address belongs to
+ */
+function getAddressType(address) {
+    if (/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return 'ethereum';
+    }
+    if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+        return 'solana';
+    }
+    return null;
+}
+
+/**
+ * Verify an EIP-191 personal_sign signature (MetaMask, Coinbase, Trust, WalletConnect)
+ * Recovers the signer from the signature and compares it with the claimed address
+ */
+function verifyEthereumSignature(address, signature, message) {
+    let recoveredAddress;
+    try {
+        recoveredAddress = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        throw new Error(`Malformed Ethereum signature: ${error.shortMessage || error.message}`);
+    }
+
+    return {
+        verified: recoveredAddress.toLowerCase() === address.toLowerCase(),
+        recovered_address: recoveredAddress
+    };
+}
+
+/**
+ * Verify an Ed25519 signMessage signature (Phantom / Solana)
+ * The signature may be hex (optionally 0x-prefixed) or base58 encoded
+ */
+function verifySolanaSignature(address, signature, message) {
+    const publicKeyBytes = decodeBase58(address, 32);
+
+    let signatureBytes;
+    if (/^(0x)?[a-fA-F0-9]{128}$/.test(signature)) {
+        signatureBytes = Buffer.from(signature.replace(/^0x/, ''), 'hex');
+    } else {
+        try {
+            signatureBytes = decodeBase58(signature, 64);
+        } catch (error) {
+            throw new Error('Malformed Solana signature: expected 64 bytes as hex or base58');
+        }
+    }
+
+    const publicKey = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyBytes]),
+        format: 'der',
+        type: 'spki'
+    });
+
+    return {
+        verified: crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes)
+    };
+}
+
+/**
+ * Verify that `signature` over `message` was produced by the owner of `address`
+ * Throws on malformed input; returns { verified, chain, recovered_address? }
+ */
+function verifyWalletSignature(address, signature, message) {
+    if (!address || !signature || !message) {
+        throw new Error('Missing required fields: address, signature, message');
+    }
+
+    const chain = getAddressType(address);
+    if (!chain) {
+        throw new Error('Invalid wallet address format (expected Ethereum or Solana address)');
+    }
+
+    const result = chain === 'ethereum'
+        ? verifyEthereumSignature(address, signature, message)
+        : verifySolanaSignature(address, signature, message);
+
+    return { ...result, chain };
+}
+
+// ========================================
+// SIGN-IN WITH ETHEREUM (EIP-4361)
+// ========================================
+
+// Outstanding nonces (nonce -> { owner_id, expires_at }) and active wallet sessions (id -> session)
+const siweNonces = new Map();
+const walletSessions = new Map();
+
+/**
+ * Drop expired nonces and sessions
+ */
+function pruneSiweState() {
+    const now = Date.now();
+    for (const [nonce, { expires_at }] of siweNonces) {
+        if (expires_at <= now) siweNonces.delete(nonce);
+    }
+    for (const [sessionId, session] of walletSessions) {
+        if (session.expires_at_ms <= now) walletSessions.delete(sessionId);
+    }
+}
+
+/**
+ * Issue a single-use nonce for a sign-in message
+ * Each app user has at most SIWE_CONFIG.max_nonces_per_user outstanding; the oldest is dropped.
+ * @param {string} ownerId - App user the nonce is issued to (only they can sign in with it)
+ */
+function issueSiweNonce(ownerId) {
+    pruneSiweState();
+
+    // Map iteration follows insertion order, so the first ones found are the oldest
+    const outstanding = [...siweNonces].filter(([, entry]) => entry.owner_id === ownerId);
+    outstanding
+        .slice(0, Math.max(0, outstanding.length - SIWE_CONFIG.max_nonces_per_user + 1))
+        .forEach(([nonce]) => siweNonces.delete(nonce));
+
+    // EIP-4361 nonces must be alphanumeric and at least 8 characters
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + SIWE_CONFIG.nonce_ttl_ms;
+    siweNonces.set(nonce, { owner_id: ownerId, expires_at: expiresAt });
+
+    return {
+        nonce: nonce,
+        issued_at: new Date(issuedAt).toISOString(),
+        expiration_time: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Parse an EIP-4361 message (and its Solana equivalent) into its fields
+ */
+function parseSiweMessage(message) {
+    const lines = message.split('\n');
+    const header = lines[0].match(/^(\S+) wants you to sign in with your (Ethereum|Solana) account:$/);
+    if (!header) {
+        throw new Error('Invalid sign-in message: unrecognised header line');
+    }
+
+    const fields = {
+        domain: header[1],
+        chain: header[2].toLowerCase(),
+        address: (lines[1] || '').trim(),
+        statement: null,
+        resources: []
+    };
+
+    const labels = {
+        'URI': 'uri',
+        'Version': 'version',
+        'Chain ID': 'chain_id',
+        'Nonce': 'nonce',
+        'Issued At': 'issued_at',
+        'Expiration Time': 'expiration_time',
+        'Not Before': 'not_before',
+        'Request ID': 'request_id'
+    };
+
+    let inResources = false;
+    lines.slice(2).forEach(line => {
+        if (inResources && line.startsWith('- ')) {
+            fields.resources.push(line.substring(2));
+            return;
+        }
+
+        const separator = line.indexOf(': ');
+        const label = separator > 0 ? line.substring(0, separator) : null;
+
+        if (label && labels[label]) {
+            fields[labels[label]] = line.substring(separator + 2);
+        } else if (line === 'Resources:') {
+            inResources = true;
+        } else if (line && !fields.uri && fields.statement === null) {
+            fields.statement = line;
+        }
+    });
+
+    ['uri', 'version', 'chain_id', 'nonce', 'issued_at'].forEach(field => {
+        if (!fields[field]) {
+            throw new Error(`Invalid sign-in message: missing ${field}`);
+        }
+    });
+
+    return fields;
+}
+
+/**
+ * Verify a signed sign-in message, consume its nonce and open a wallet session
+ * @param {string} ownerId - App user the wallet session is bound to
+ */
+function verifySiweLogin(message, signature, ownerId) {
+    if (!message || !signature) {
+        throw new Error('Missing required fields: message, signature');
+    }
+
+    const fields = parseSiweMessage(message);
+    const now = Date.now();
+
+    if (!SIWE_CONFIG.allowed_domains.includes(fields.domain)) {
+        throw new Error(`Sign-in domain not allowed: ${fields.domain}`);
+    }
+    if (new URL(fields.uri).host !== fields.domain) {
+        throw new Error('Sign-in URI does not match domain');
+    }
+    if (fields.version !== '1') {
+        throw new Error(`Unsupported sign-in message version: ${fields.version}`);
+    }
+    if (fields.chain === 'ethereum' && ethers.getAddress(fields.address) !== fields.address) {
+        throw new Error('Address must be EIP-55 checksummed');
+    }
+
+    const issuedAt = Date.parse(fields.issued_at);
+    if (isNaN(issuedAt) || issuedAt > now + SIWE_CONFIG.clock_skew_ms) {
+        throw new Error('Invalid Issued At time');
+    }
+    if (fields.expiration_time && Date.parse(fields.expiration_time) <= now) {
+        throw new Error('Sign-in message has expired');
+    }
+    if (fields.not_before && Date.parse(fields.not_before) > now + SIWE_CONFIG.clock_skew_ms) {
+        throw new Error('Sign-in message is not yet valid');
+    }
+
+    // Nonces are single use: consume before checking the signature so a failed
+    // attempt cannot be retried with the same message
+    const nonceEntry = siweNonces.get(fields.nonce);
+    siweNonces.delete(fields.nonce);
+    if (!nonceEntry || nonceEntry.expires_at <= now || nonceEntry.owner_id !== ownerId) {
+        throw new Error('Unknown or expired nonce');
+    }
+
+    const result = verifyWalletSignature(fields.address, signature, message);
+    if (!result.verified) {
+        return { verified: false };
+    }
+
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const session = {
+        owner_id: ownerId,
+        address: fields.address,
+        chain: result.chain,
+        chain_id: fields.chain_id,
+        domain: fields.domain,
+        issued_at: new Date(now).toISOString(),
+        expires_at: new Date(now + SIWE_CONFIG.session_ttl_ms).toISOString(),
+        expires_at_ms: now + SIWE_CONFIG.session_ttl_ms
+    };
+    walletSessions.set(sessionId, session);
+
+    return { verified: true, session_id: sessionId, session: session };
+}
+
+/**
+ * Look up the wallet session attached to a request (null when absent or expired)
+ */
+function getWalletSession(req) {
+    const sessionId = parseCookies(req)[SIWE_CONFIG.cookie_name];
+    const session = sessionId && walletSessions.get(sessionId);
+
+    if (!session) {
+        return null;
+    }
+    if (session.expires_at_ms <= Date.now()) {
+        walletSessions.delete(sessionId);
+        return null;
+    }
+    return { id: sessionId, ...session };
+}
+
+/**
+ * End a wallet session
+ */
+function endWalletSession(sessionId) {
+    walletSessions.delete(sessionId);
+}
+
+/**
+ * Public view of a wallet session
+ */
+function formatWalletSession(session) {
+    return {
+        address: session.address,
+        chain: session.chain,
+        chain_id: session.chain_id,
+        issued_at: session.issued_at,
+        expires_at: session.expires_at
+    };
+}
+
+module.exports = {
+    SIWE_CONFIG,
+    verifyWalletSignature,
+    issueSiweNonce,
+    verifySiweLogin,
+    getWalletSession,
+    formatWalletSession,
+    endWalletSession
+};
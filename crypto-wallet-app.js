@@ -874,25 +874,71 @@ async function connectHardwareWallet(wallet) {
 }
 
 /**
- * Verify ownership by signing a message
+ * Build an EIP-4361 (Sign-In With Ethereum) message
+ * Phantom uses the same layout with "Solana account" in the header
+ */
+function buildSignInMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime, chain }) {
+    return `${domain} wants you to sign in with your ${chain} account:
+${address}
+
+${statement}
+
+URI: ${uri}
+Version: 1
+Chain ID: ${chainId}
+Nonce: ${nonce}
+Issued At: ${issuedAt}
+Expiration Time: ${expirationTime}`;
+}
+
+/**
+ * Verify ownership by signing in with a server-issued nonce (EIP-4361)
  */
 async function verifyOwnership() {
     if (!connectedWallet || !currentProvider) {
         throw new Error('No wallet connected');
     }
 
-    const message = `Verify wallet ownership at ${new Date().toISOString()}\n\nWallet: ${connectedWallet.address}\nNetwork: ${connectedWallet.network}\n\nThis signature proves you own this wallet.`;
+    // Fetch a single-use nonce so the signature cannot be replayed
+    const nonceResponse = await fetch('http://localhost:8000/api/crypto/siwe/nonce');
+    const nonceResult = await nonceResponse.json();
+
+    if (!nonceResult.success) {
+        throw new Error(nonceResult.error || 'Failed to get sign-in nonce');
+    }
+
+    const isSolana = connectedWallet.provider === 'Phantom';
+    let address = connectedWallet.address;
+
+    if (!isSolana) {
+        // EIP-4361 requires the checksummed address
+        const { ethers } = await import('ethers');
+        address = ethers.getAddress(address);
+    }
+
+    const message = buildSignInMessage({
+        domain: window.location.host,
+        address: address,
+        statement: 'Sign in to Lean SDK Integration to prove you own this wallet.',
+        uri: window.location.origin,
+        chainId: isSolana ? 'mainnet' : parseInt(connectedWallet.chainId, 16),
+        nonce: nonceResult.nonce,
+        issuedAt: nonceResult.issued_at,
+        expirationTime: nonceResult.expiration_time,
+        chain: isSolana ? 'Solana' : 'Ethereum'
+    });
 
     debugLog('Requesting signature for message:', message);
 
     try {
         let signature;
 
-        if (connectedWallet.provider === 'Phantom') {
+        if (isSolana) {
             // Solana signature
             const encodedMessage = new TextEncoder().encode(message);
             const signedMessage = await window.solana.signMessage(encodedMessage, 'utf8');
-            signature = signedMessage.signature.toString();
+            // Send the raw ed25519 signature bytes as hex so the backend can verify them
+            signature = Array.from(signedMessage.signature, byte => byte.toString(16).padStart(2, '0')).join('');
         } else if (connectedWallet.provider === 'WalletConnect') {
             // WalletConnect v2 signature via ethereum provider
             signature = await window.ethereum.request({
@@ -909,14 +955,13 @@ async function verifyOwnership() {
 
         debugLog('Signature received:', signature);
 
-        // Verify signature on backend
-        const response = await fetch('http://localhost:8000/api/crypto/verify-signature', {
+        // Verify signature and consume the nonce on backend (starts a wallet session)
+        const response = await fetch('http://localhost:8000/api/crypto/siwe/verify', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                address: connectedWallet.address,
                 signature: signature,
                 message: message
             })
@@ -949,9 +994,13 @@ async function verifyOwnership() {
                 <strong>Verified:</strong>
                 <pre>✅ ${new Date().toLocaleString()}</pre>
             </div>
+            <div class="response-item">
+                <strong>Session Expires:</strong>
+                <pre>${new Date(result.session.expires_at).toLocaleString()}</pre>
+            </div>
             <div class="info-box" style="background: #e8f5e9; padding: 15px; border-radius: 8px; margin-top: 15px;">
                 <strong>✅ Verification Complete!</strong>
-                <p style="margin: 10px 0 0 0;">Ownership has been verified. Connection will be saved.</p>
+                <p style="margin: 10px 0 0 0;">Ownership has been verified and you are signed in with this wallet. Connection will be saved.</p>
             </div>
         `;
 
@@ -980,12 +1029,8 @@ async function saveConnection(signature, message) {
         provider: connectedWallet.provider,
         address: connectedWallet.address,
         network: connectedWallet.network,
-        chainId: connectedWallet.chainId,
-        balance: connectedWallet.balance,
-        balanceUnit: connectedWallet.balanceUnit,
         signature: signature,
-        message: message,
-        verified_at: new Date().toISOString()
+        message: message
     };
 
     try {
@@ -1003,8 +1048,8 @@ async function saveConnection(signature, message) {
             throw new Error(result.error || 'Failed to save connection');
         }
 
-        debugLog('Connection saved:', result.filename);
-        console.log('✅ Wallet connection saved to:', result.filename);
+        debugLog('Connection saved:', result.id);
+        console.log('✅ Wallet connection saved:', result.id);
 
     } catch (error) {
         console.error('❌ Failed to save connection:', error);
@@ -1045,7 +1090,7 @@ async function loadConnectedWallets() {
                         <div style="margin-top: 10px;">
                             <p><strong>Address:</strong> <code>${conn.address}</code></p>
                             <p><strong>Network:</strong> ${conn.network}</p>
-                            <p><strong>Balance:</strong> ${conn.balance} ${conn.balanceUnit}</p>
+                            ${conn.balance !== undefined ? `<p><strong>Balance:</strong> ${conn.balance} ${conn.balanceUnit}</p>` : ''}
                             <p><strong>Connected:</strong> ${new Date(conn.connected_at).toLocaleString()}</p>
                             ${conn.verified_at ? `<p><strong>Verified:</strong> ✅ ${new Date(conn.verified_at).toLocaleString()}</p>` : ''}
                         </div>
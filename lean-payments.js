@@ -0,0 +1,335 @@
+/**
+ * Lean Payments - Frontend Logic
+ * Creates a payment intent on the backend, then hands its ID to Lean.pay().
+ * Uses the customer/app token globals from app.js.
+ */
+
+/**
+ * Render one payment's status
+ */
+function renderLeanPayment(payment) {
+    const statusColor = {
+        ACCEPTED_BY_BANK: '#48bb78',
+        FAILED: '#c53030'
+    }[payment.status] || '#ed8936';
+
+    return `
+        <div style="background: #f7fafc; padding: 15px; border-radius: 10px; margin: 10px 0; border-left: 4px solid ${statusColor};">
+            <p style="margin: 5px 0;"><strong>${payment.amount} ${payment.currency}</strong>${payment.description ? ' - ' + payment.description : ''}</p>
+            <p style="margin: 5px 0;"><strong>Status:</strong> <span style="color: ${statusColor}; font-weight: bold;">${payment.status}</span>
+                ${payment.failure_reason ? `<span style="color: #c53030;"> (${payment.failure_reason})</span>` : ''}</p>
+            <p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Intent: <code>${payment.payment_intent_id}</code></p>
+            <p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Created: ${new Date(payment.created_at).toLocaleString()}</p>
+            <button class="connect-btn" onclick="refreshLeanPayment('${payment.id}')" style="padding: 6px 12px; font-size: 0.85em; width: auto;">🔄 Refresh Status</button>
+        </div>
+    `;
+}
+
+/**
+ * Make sure the Lean app token is loaded (app.js loads it lazily)
+ */
+async function ensureLeanAppToken() {
+    if (appToken) {
+        return appToken;
+    }
+    const response = await fetch('http://localhost:8000/api/config');
+    if (!response.ok) {
+        throw new Error('Unable to load application configuration');
+    }
+    appToken = (await response.json()).client_id;
+    return appToken;
+}
+
+/**
+ * Create a payment intent and open Lean.pay() for it
+ */
+async function createLeanPayment() {
+    const payButton = document.getElementById('leanPayBtn');
+    const statusDiv = document.getElementById('leanPaymentStatus');
+    const customerId = paymentCustomerId();
+    const amount = parseFloat(document.getElementById('paymentAmount').value);
+    const destinationId = document.getElementById('paymentDestinationId').value.trim();
+    const description = document.getElementById('paymentDescription').value.trim();
+
+    if (!customerId) {
+        alert('❌ Initialize a customer in Step 1 first (or enter a customer ID).');
+        return;
+    }
+    if (!(amount > 0)) {
+        alert('❌ Enter an amount greater than 0.');
+        return;
+    }
+
+    payButton.disabled = true;
+    payButton.textContent = '⏳ Creating Payment Intent...';
+    statusDiv.innerHTML = '';
+
+    try {
+        const body = { customer_id: customerId, amount: amount, currency: 'SAR' };
+        if (destinationId) body.payment_destination_id = destinationId;
+        if (description) body.description = description;
+
+        const data = await sendLeanPaymentsRequest('POST', '/api/lean/payment-intents', body);
+        const payment = data.payment;
+        console.log('💳 Payment intent created:', payment.payment_intent_id);
+        statusDiv.innerHTML = renderLeanPayment(payment);
+
+        await ensureLeanAppToken();
+        checkLeanPaySDK();
+
+        const payConfig = {
+            app_token: appToken,
+            payment_intent_id: payment.payment_intent_id,
+            sandbox: document.getElementById('sandboxMode').checked,
+            callback: function(response) {
+                console.log('📱 Lean.pay() Callback:', response);
+                // The webhook may not have arrived yet; ask Lean directly
+                refreshLeanPayment(payment.id, true);
+            }
+        };
+        if (currentAccessToken && customerId === currentCustomerId) {
+            payConfig.access_token = currentAccessToken;
+        }
+
+        console.log('🚀 Calling window.Lean.pay()...');
+        window.Lean.pay(payConfig);
+
+    } catch (error) {
+        console.error('❌ Payment error:', error);
+        statusDiv.innerHTML += '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+
+    payButton.disabled = false;
+    payButton.textContent = '💳 Create Payment & Pay with Lean';
+}
+
+/**
+ * Lean.pay() comes from the same loader as Lean.connect()
+ */
+function checkLeanPaySDK() {
+    if (!window.Lean || typeof window.Lean.pay !== 'function') {
+        throw new Error('Lean SDK is not loaded (window.Lean.pay is unavailable)');
+    }
+}
+
+/**
+ * Reload a payment's status (fromLean asks Lean instead of waiting for the webhook)
+ */
+async function refreshLeanPayment(paymentId, fromLean = true) {
+    const statusDiv = document.getElementById('leanPaymentStatus');
+
+    try {
+        const response = await fetch(`http://localhost:8000/api/lean/payments/${paymentId}${fromLean ? '?refresh=true' : ''}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load payment');
+        }
+
+        statusDiv.innerHTML = renderLeanPayment(data.payment);
+    } catch (error) {
+        console.error('❌ Error refreshing payment:', error);
+        statusDiv.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+}
+
+/**
+ * List all of the signed-in user's payments
+ */
+async function loadLeanPayments() {
+    const listDiv = document.getElementById('leanPaymentsList');
+    listDiv.innerHTML = '<p>⏳ Loading payments...</p>';
+
+    try {
+        const response = await fetch('http://localhost:8000/api/lean/payments');
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load payments');
+        }
+
+        listDiv.innerHTML = data.payments.length > 0
+            ? `<h3>💳 Payments (${data.count})</h3>` + data.payments.map(renderLeanPayment).join('')
+            : '<p style="color: #718096;">No payments yet.</p>';
+    } catch (error) {
+        console.error('❌ Error loading payments:', error);
+        listDiv.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+}
+
+/**
+ * Customer whose beneficiaries are managed (Step 5 field, else the Step 1 customer)
+ */
+function paymentCustomerId() {
+    return document.getElementById('paymentCustomerId').value.trim() || currentCustomerId;
+}
+
+/**
+ * Send JSON to a Lean payments route and return the parsed response
+ */
+async function sendLeanPaymentsRequest(method, path, body) {
+    const response = await fetch(`http://localhost:8000${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+/**
+ * Register a payment destination from the form
+ */
+async function createPaymentDestination() {
+    const button = document.getElementById('createDestinationBtn');
+    const listDiv = document.getElementById('leanDestinationsList');
+
+    button.disabled = true;
+    button.textContent = '⏳ Registering...';
+
+    try {
+        const data = await sendLeanPaymentsRequest('POST', '/api/lean/payment-destinations', {
+            display_name: document.getElementById('destinationDisplayName').value.trim(),
+            name: document.getElementById('destinationName').value.trim(),
+            iban: document.getElementById('destinationIban').value.replace(/\s/g, '').toUpperCase(),
+            address: document.getElementById('destinationAddress').value.trim(),
+            city: document.getElementById('destinationCity').value.trim()
+        });
+
+        console.log('🏦 Payment destination registered:', data.destination.payment_destination_id);
+        await loadPaymentDestinations();
+    } catch (error) {
+        console.error('❌ Error registering destination:', error);
+        listDiv.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+
+    button.disabled = false;
+    button.textContent = '➕ Register Payment Destination';
+}
+
+/**
+ * List destinations, and the current customer's beneficiaries with their local review labels
+ */
+async function loadPaymentDestinations() {
+    const listDiv = document.getElementById('leanDestinationsList');
+    const customerId = paymentCustomerId();
+    listDiv.innerHTML = '<p>⏳ Loading destinations...</p>';
+
+    try {
+        const response = await fetch('http://localhost:8000/api/lean/payment-destinations');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load payment destinations');
+        }
+
+        let beneficiaries = [];
+        if (customerId) {
+            const beneficiariesResponse = await fetch(`http://localhost:8000/api/lean/customers/${customerId}/beneficiaries`);
+            const beneficiariesData = await beneficiariesResponse.json();
+            if (!beneficiariesResponse.ok) {
+                throw new Error(beneficiariesData.error || 'Failed to load beneficiaries');
+            }
+            beneficiaries = beneficiariesData.beneficiaries;
+        }
+
+        if (data.destinations.length === 0) {
+            listDiv.innerHTML = '<p style="color: #718096;">No payment destinations registered yet.</p>';
+            return;
+        }
+
+        let html = `<h3>🏦 Destinations (${data.count})</h3>`;
+        for (const destination of data.destinations) {
+            const beneficiary = beneficiaries.find(b => b.payment_destination_id === destination.payment_destination_id);
+            const review = beneficiary?.local_review || 'UNREVIEWED';
+            const reviewColor = { OK: '#48bb78', FLAGGED: '#c53030' }[review] || '#718096';
+
+            html += `
+                <div style="background: #f7fafc; padding: 15px; border-radius: 10px; margin: 10px 0; border-left: 4px solid #667eea;">
+                    <p style="margin: 5px 0;"><strong>${destination.display_name}</strong> - ${destination.name}</p>
+                    <p style="margin: 5px 0; font-size: 0.85em; color: #718096;">IBAN ${destination.iban_masked} • ${destination.city}</p>
+                    <p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Destination ID: <code>${destination.payment_destination_id}</code></p>
+            `;
+
+            if (!customerId) {
+                html += '<p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Initialize a customer to manage beneficiaries.</p>';
+            } else if (!beneficiary) {
+                html += `<button class="connect-btn" onclick="addBeneficiary('${destination.payment_destination_id}')" style="padding: 6px 12px; font-size: 0.85em; width: auto;">👥 Add as Beneficiary</button>`;
+            } else {
+                html += `<p style="margin: 5px 0;"><strong>Beneficiary</strong> (your review: <span style="color: ${reviewColor}; font-weight: bold;">${review}</span>)</p>`;
+                if (review !== 'OK') {
+                    html += `<button class="connect-btn" onclick="reviewBeneficiary('${beneficiary.id}', 'OK')" style="margin-right: 5px; padding: 6px 12px; font-size: 0.85em; width: auto;">✅ Mark OK</button>`;
+                }
+                if (review !== 'FLAGGED') {
+                    html += `<button class="connect-btn" onclick="reviewBeneficiary('${beneficiary.id}', 'FLAGGED')" style="margin-right: 5px; padding: 6px 12px; font-size: 0.85em; width: auto; background: linear-gradient(135deg, #f093fb, #f5576c);">🚩 Flag</button>`;
+                }
+                if (review !== 'FLAGGED') {
+                    html += `<button class="connect-btn" onclick="document.getElementById('paymentDestinationId').value = '${destination.payment_destination_id}'" style="padding: 6px 12px; font-size: 0.85em; width: auto;">💳 Pay This Destination</button>`;
+                }
+            }
+
+            html += '</div>';
+        }
+
+        listDiv.innerHTML = html;
+    } catch (error) {
+        console.error('❌ Error loading destinations:', error);
+        listDiv.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+    }
+}
+
+/**
+ * Register a destination with Lean as a beneficiary of the current customer
+ */
+async function addBeneficiary(paymentDestinationId) {
+    try {
+        await sendLeanPaymentsRequest('POST', `/api/lean/customers/${paymentCustomerId()}/beneficiaries`, {
+            payment_destination_id: paymentDestinationId
+        });
+        await loadPaymentDestinations();
+    } catch (error) {
+        console.error('❌ Error adding beneficiary:', error);
+        alert('❌ ' + error.message);
+    }
+}
+
+/**
+ * Set a beneficiary's review status (FLAGGED blocks payments to it)
+ */
+async function reviewBeneficiary(beneficiaryId, localReview) {
+    try {
+        await sendLeanPaymentsRequest('PATCH', `/api/lean/customers/${paymentCustomerId()}/beneficiaries/${beneficiaryId}`, {
+            local_review: localReview
+        });
+        await loadPaymentDestinations();
+    } catch (error) {
+        console.error('❌ Error updating beneficiary:', error);
+        alert('❌ ' + error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const payButton = document.getElementById('leanPayBtn');
+    const listButton = document.getElementById('loadLeanPaymentsBtn');
+    const createDestinationButton = document.getElementById('createDestinationBtn');
+    const loadDestinationsButton = document.getElementById('loadDestinationsBtn');
+
+    if (createDestinationButton) {
+        createDestinationButton.addEventListener('click', createPaymentDestination);
+    }
+    if (loadDestinationsButton) {
+        loadDestinationsButton.addEventListener('click', loadPaymentDestinations);
+    }
+
+    if (payButton) {
+        payButton.addEventListener('click', createLeanPayment);
+    }
+    if (listButton) {
+        listButton.addEventListener('click', loadLeanPayments);
+    }
+});
@@ -5,10 +5,18 @@
 
 // Global state for Plaid
 let plaidLinkToken = null;
-let plaidAccessToken = null;
 let plaidItemId = null;
+let plaidConnectionId = null;
 let plaidHandler = null;
 
+/**
+ * Backend URL of a resource under a saved Plaid connection
+ * The access token stays on the server; the browser only knows the connection ID.
+ */
+function plaidConnectionUrl(path = '', connectionId = plaidConnectionId || localStorage.getItem('plaid_connection_id')) {
+    return connectionId ? `http://localhost:8000/api/plaid/connections/${connectionId}${path}` : null;
+}
+
 /**
  * Helper function to remove white overlay
  */
@@ -25,6 +33,166 @@ function removeWhiteOverlay() {
     }
 }
 
+// ========================================
+// OAUTH REDIRECTS
+// ========================================
+
+// OAuth institutions send the user away from this page; Link resumes on plaid-oauth.html
+const PLAID_LINK_SESSION_KEY = 'plaid_link_session';
+
+/**
+ * Remember the link token Link was opened with, so the OAuth landing page can resume it
+ * mode is 'create' (new Item) or 'update' (reconnecting connectionId)
+ */
+function savePlaidLinkSession(linkToken, { mode = 'create', expiration = null, connectionId = null, institutionName = null, userId = null } = {}) {
+    localStorage.setItem(PLAID_LINK_SESSION_KEY, JSON.stringify({
+        link_token: linkToken,
+        mode: mode,
+        expiration: expiration,
+        connection_id: connectionId,
+        institution_name: institutionName,
+        user_id: userId
+    }));
+}
+
+/**
+ * The saved Link session, or null if there is none or its token has expired
+ */
+function loadPlaidLinkSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(PLAID_LINK_SESSION_KEY));
+        if (!session || !session.link_token) {
+            return null;
+        }
+        if (session.expiration && Date.parse(session.expiration) <= Date.now()) {
+            clearPlaidLinkSession();
+            return null;
+        }
+        return session;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Forget the saved Link session once Link has finished
+ */
+function clearPlaidLinkSession() {
+    localStorage.removeItem(PLAID_LINK_SESSION_KEY);
+}
+
+/**
+ * Exchange a public token; the backend keeps the access token and saves the connection
+ */
+async function exchangePlaidPublicToken(publicToken, metadata, userId) {
+    const response = await fetch('http://localhost:8000/api/plaid/exchange-token', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            public_token: publicToken,
+            user_id: userId,
+            institution_id: metadata.institution?.institution_id,
+            institution_name: metadata.institution?.name,
+            accounts: metadata.accounts
+        })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || data.error) {
+        throw new Error(data.error || 'Failed to exchange token');
+    }
+
+    plaidConnectionId = data.connection_id;
+    plaidItemId = data.item_id;
+
+    // Store in localStorage (never the access token itself)
+    localStorage.setItem('plaid_connection_id', plaidConnectionId);
+    localStorage.removeItem('plaid_access_token');
+    localStorage.setItem('plaid_item_id', plaidItemId);
+    localStorage.setItem('plaid_institution', JSON.stringify(metadata.institution));
+
+    return data;
+}
+
+/**
+ * After update mode: have the backend check the Item with Plaid and mark it HEALTHY
+ */
+async function confirmPlaidReconnect(connectionId) {
+    const response = await fetch(plaidConnectionUrl('/reconnected', connectionId), {
+        method: 'POST'
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || 'Item is still not healthy');
+    }
+    return result;
+}
+
+/**
+ * OAuth landing page: re-open Link with the saved token and the URL the bank sent the user back to
+ * Ends on plaid-success.html or plaid-failed.html, or back on the dashboard if the user cancels.
+ */
+function resumePlaidOAuth() {
+    const statusEl = document.getElementById('plaidOAuthStatus');
+    const showStatus = (message) => {
+        if (statusEl) statusEl.textContent = message;
+    };
+
+    const session = loadPlaidLinkSession();
+    if (!session || !new URLSearchParams(window.location.search).has('oauth_state_id')) {
+        console.error('❌ No saved Plaid Link session to resume');
+        showStatus('This bank connection can no longer be resumed. Please start again from the dashboard.');
+        setTimeout(() => { window.location.href = '/?plaid_failed=true'; }, 3000);
+        return;
+    }
+
+    if (typeof Plaid === 'undefined') {
+        showStatus('Plaid Link failed to load. Please refresh the page.');
+        return;
+    }
+
+    console.log(`🔁 Resuming Plaid Link after OAuth (${session.mode} mode)`);
+    showStatus('Finishing your bank connection...');
+
+    plaidHandler = Plaid.create({
+        token: session.link_token,
+        receivedRedirectUri: window.location.href,
+        onSuccess: async (publicToken, metadata) => {
+            clearPlaidLinkSession();
+            showStatus('Saving your connection...');
+            try {
+                if (session.mode === 'update') {
+                    // No public token to exchange in update mode
+                    await confirmPlaidReconnect(session.connection_id);
+                } else {
+                    await exchangePlaidPublicToken(publicToken, metadata, session.user_id || `user_${Date.now()}`);
+                }
+                window.location.href = '/plaid-success.html';
+            } catch (error) {
+                console.error('❌ Could not finish the OAuth connection:', error);
+                window.location.href = '/plaid-failed.html';
+            }
+        },
+        onExit: (err) => {
+            clearPlaidLinkSession();
+            if (err) {
+                console.error('❌ Plaid Link exited with error after OAuth:', err);
+                window.location.href = '/plaid-failed.html';
+            } else {
+                window.location.href = '/';
+            }
+        },
+        onEvent: (eventName, metadata) => {
+            console.log('📊 Plaid Event:', eventName, metadata);
+        }
+    });
+    plaidHandler.open();
+}
+
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     console.log('='.repeat(50));
@@ -33,6 +201,13 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Check if returning from Plaid success/failure
     const urlParams = new URLSearchParams(window.location.search);
+
+    // OAuth landing page (or back from an OAuth institution): only resume Link
+    if (urlParams.has('oauth_state_id') || document.getElementById('plaidOAuthStatus')) {
+        resumePlaidOAuth();
+        return;
+    }
+
     if (urlParams.get('plaid_success') === 'true') {
         showPlaidSuccessBanner();
     }
@@ -50,6 +225,42 @@ document.addEventListener('DOMContentLoaded', function() {
     const institutionsResults = document.getElementById('institutionsResults');
     const recipientsResults = document.getElementById('recipientsResults');
 
+    /**
+     * Load the products create-link-token accepts and tick the defaults
+     */
+    async function loadLinkOptions() {
+        const container = document.getElementById('plaidProductOptions');
+        if (!container) return;
+
+        try {
+            const response = await fetch('http://localhost:8000/api/plaid/link-options');
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load link options');
+            }
+
+            container.innerHTML = data.allowed.products.map(product => `
+                <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+                    <input type="checkbox" class="plaid-product-checkbox" value="${product}" ${data.defaults.products.includes(product) ? 'checked' : ''}>
+                    ${product}
+                </label>
+            `).join('');
+        } catch (error) {
+            console.warn('⚠️ Could not load Plaid link options:', error.message);
+        }
+    }
+
+    /**
+     * Products ticked for the link token (empty = let the server use its defaults)
+     */
+    function selectedLinkProducts() {
+        const products = [...document.querySelectorAll('.plaid-product-checkbox:checked')].map(checkbox => checkbox.value);
+        return products.length > 0 ? { products: products } : {};
+    }
+
+    loadLinkOptions();
+
     /**
      * Initialize Plaid Link
      */
@@ -78,7 +289,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
             // Step 1: Create Link Token via backend with institution_id
             let linkTokenRequest = {
-                user_id: userId
+                user_id: userId,
+                ...selectedLinkProducts()
             };
 
             // Add institution_id if selected - this makes Plaid skip institution selection
@@ -118,7 +330,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
                 // Retry without institution_id
                 console.log('🔄 Retrying without institution_id...');
-                linkTokenRequest = { user_id: userId };
+                linkTokenRequest = { user_id: userId, ...selectedLinkProducts() };
                 response = await fetch('http://localhost:8000/api/plaid/create-link-token', {
                     method: 'POST',
                     headers: {
@@ -144,6 +356,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
             plaidLinkToken = data.link_token;
             console.log('✅ Link Token created:', plaidLinkToken);
+            savePlaidLinkSession(plaidLinkToken, { expiration: data.expiration, userId: userId });
 
             // Step 2: Initialize Plaid Link
             if (typeof Plaid === 'undefined') {
@@ -228,6 +441,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
         // Remove white overlay when Plaid closes
         removeWhiteOverlay();
+        clearPlaidLinkSession();
 
         plaidResultsDiv.innerHTML = `
             <div class="status-badge status-success">✅ Connection Successful!</div>
@@ -239,29 +453,6 @@ document.addEventListener('DOMContentLoaded', function() {
         `;
 
         try {
-            // Exchange public token for access token
-            const response = await fetch('http://localhost:8000/api/plaid/exchange-token', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    public_token: public_token
-                })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok || data.error) {
-                throw new Error(data.error || 'Failed to exchange token');
-            }
-
-            plaidAccessToken = data.access_token;
-            plaidItemId = data.item_id;
-
-            console.log('✅ Access Token obtained:', plaidAccessToken);
-            console.log('✅ Item ID:', plaidItemId);
-
             // Get user_id from either automatic or manual input
             const userIdInput = document.getElementById('plaidUserId');
             const manualUserIdInput = document.getElementById('manualUserId');
@@ -272,20 +463,10 @@ document.addEventListener('DOMContentLoaded', function() {
                     ? manualUserIdInput.value.trim()
                     : localStorage.getItem('plaid_last_user_id') || `user_${Date.now()}`;
 
-            // Save connection details
-            await savePlaidConnection({
-                user_id: userId,
-                access_token: plaidAccessToken,
-                item_id: plaidItemId,
-                institution_id: metadata.institution?.institution_id,
-                institution_name: metadata.institution?.name,
-                accounts: metadata.accounts
-            });
+            const data = await exchangePlaidPublicToken(public_token, metadata, userId);
 
-            // Store in localStorage
-            localStorage.setItem('plaid_access_token', plaidAccessToken);
-            localStorage.setItem('plaid_item_id', plaidItemId);
-            localStorage.setItem('plaid_institution', JSON.stringify(metadata.institution));
+            console.log('✅ Connection saved:', plaidConnectionId);
+            console.log('✅ Item ID:', plaidItemId);
 
             // Show success message
             plaidResultsDiv.innerHTML = `
@@ -299,8 +480,11 @@ document.addEventListener('DOMContentLoaded', function() {
                     <strong>Institution:</strong> ${metadata.institution?.name || 'N/A'}
                 </div>
                 <div class="response-item">
-                    <strong>🔐 Access Token (permanent):</strong>
-                    <code style="display: block; background: #f7fafc; padding: 10px; border-radius: 5px; margin-top: 5px; word-break: break-all; font-size: 0.85em;">${plaidAccessToken}</code>
+                    <strong>🔐 Access Token (kept on server):</strong>
+                    <code style="display: block; background: #f7fafc; padding: 10px; border-radius: 5px; margin-top: 5px; word-break: break-all; font-size: 0.85em;">${data.access_token_masked}</code>
+                </div>
+                <div class="response-item">
+                    <strong>Connection ID:</strong> ${plaidConnectionId}
                 </div>
                 <div class="response-item">
                     <strong>Item ID:</strong> ${plaidItemId}
@@ -341,6 +525,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
         // Remove white overlay when Plaid closes
         removeWhiteOverlay();
+        clearPlaidLinkSession();
 
         if (err != null) {
             plaidResultsDiv.innerHTML = `
@@ -374,33 +559,15 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('📊 Plaid Event:', eventName, metadata);
     }
 
-    /**
-     * Save Plaid connection to backend
-     */
-    async function savePlaidConnection(connectionData) {
-        try {
-            await fetch('http://localhost:8000/api/plaid/save-connection', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(connectionData)
-            });
-            console.log('💾 Connection saved to backend');
-        } catch (error) {
-            console.error('❌ Failed to save connection:', error);
-        }
-    }
-
     /**
      * Fetch Plaid Accounts
      */
     async function fetchPlaidAccounts() {
         console.log('📊 Fetching Plaid Accounts...');
 
-        const accessToken = plaidAccessToken || localStorage.getItem('plaid_access_token');
+        const accountsUrl = plaidConnectionUrl('/accounts');
 
-        if (!accessToken) {
+        if (!accountsUrl) {
             alert('Please connect a bank account first');
             return;
         }
@@ -410,15 +577,7 @@ document.addEventListener('DOMContentLoaded', function() {
         plaidAccountsList.innerHTML = '<p>Loading accounts...</p>';
 
         try {
-            const response = await fetch('http://localhost:8000/api/plaid/accounts', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    access_token: accessToken
-                })
-            });
+            const response = await fetch(accountsUrl);
 
             const data = await response.json();
 
@@ -448,7 +607,7 @@ document.addEventListener('DOMContentLoaded', function() {
                             <p><strong>Type:</strong> ${accountType}${accountSubtype ? ' - ' + accountSubtype : ''}</p>
                             <p><strong>Mask:</strong> ****${mask}</p>
                             <p><strong>Balance:</strong> ${currency} ${balance.toFixed(2)}</p>
-                            <button class="connect-btn" onclick="fetchPlaidTransactionsFor('${account.account_id}', '${accessToken}')" style="margin-top: 10px; padding: 10px 20px; font-size: 0.9em;">
+                            <button class="connect-btn" onclick="fetchPlaidTransactionsFor('${account.account_id}')" style="margin-top: 10px; padding: 10px 20px; font-size: 0.9em;">
                                 📋 Get Transactions
                             </button>
                             <div id="plaid-account-data-${account.account_id}" style="margin-top: 15px;"></div>
@@ -462,13 +621,31 @@ document.addEventListener('DOMContentLoaded', function() {
                 populateAccountFilterCheckboxes(accounts);
 
                 // Populate transaction dropdown with fetched accounts
-                populateTransactionDropdown(accounts, accessToken, data.item?.institution_id);
+                populateTransactionDropdown(accounts, plaidConnectionId || localStorage.getItem('plaid_connection_id'), data.item?.institution_id);
 
                 // Show the balances card
                 const plaidBalancesCard = document.getElementById('plaidBalancesCard');
                 if (plaidBalancesCard) {
                     plaidBalancesCard.style.display = 'block';
                 }
+
+                // Show the identity card
+                const plaidIdentityCard = document.getElementById('plaidIdentityCard');
+                if (plaidIdentityCard) {
+                    plaidIdentityCard.style.display = 'block';
+                }
+
+                // Show the liabilities card when the Item has credit or loan accounts
+                const plaidLiabilitiesCard = document.getElementById('plaidLiabilitiesCard');
+                if (plaidLiabilitiesCard && accounts.some(account => account.type === 'credit' || account.type === 'loan')) {
+                    plaidLiabilitiesCard.style.display = 'block';
+                }
+
+                // Show the investments card when the Item has brokerage/retirement accounts
+                const plaidInvestmentsCard = document.getElementById('plaidInvestmentsCard');
+                if (plaidInvestmentsCard && accounts.some(account => account.type === 'investment')) {
+                    plaidInvestmentsCard.style.display = 'block';
+                }
             } else {
                 plaidAccountsList.innerHTML = '<p style="color: #ed8936;">⚠️ No accounts found</p>';
             }
@@ -860,14 +1037,18 @@ document.addEventListener('DOMContentLoaded', function() {
                         const itemId = conn.item_id || 'N/A';
                         const accountCount = conn.accounts?.length || 0;
                         const timestamp = conn.saved_at || conn.timestamp || 'N/A';
-                        const accessToken = conn.access_token ? conn.access_token.substring(0, 20) + '...' : 'N/A';
+                        const accessToken = conn.access_token_masked || 'N/A';
+                        const statusBadge = conn.needs_reauth
+                            ? `<span style="background: #fed7d7; color: #822727; padding: 4px 10px; border-radius: 5px; font-size: 0.85em; font-weight: 600;">⚠️ ${conn.status === 'LOGIN_REQUIRED' ? 'Login Required' : 'Error'}</span>`
+                            : '<span style="background: #c6f6d5; color: #22543d; padding: 4px 10px; border-radius: 5px; font-size: 0.85em; font-weight: 600;">Active</span>';
 
                         html += `
                             <div style="background: #f7fafc; padding: 15px; border-radius: 8px; margin: 10px 0;">
                                 <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
                                     <h4 style="margin: 0; color: #2d3748;">🏦 ${institutionName}</h4>
-                                    <span style="background: #c6f6d5; color: #22543d; padding: 4px 10px; border-radius: 5px; font-size: 0.85em; font-weight: 600;">Active</span>
+                                    ${statusBadge}
                                 </div>
+                                ${conn.item_error ? `<p style="margin: 8px 0; font-size: 0.9em; color: #c53030;"><strong>Error:</strong> ${conn.item_error.error_message || conn.item_error.error_code}</p>` : ''}
                                 <p style="margin: 8px 0; font-size: 0.9em;"><strong>Item ID:</strong> <code style="font-size: 0.8em; background: #edf2f7; padding: 2px 6px; border-radius: 4px;">${itemId}</code></p>
                                 <p style="margin: 8px 0; font-size: 0.9em;"><strong>Access Token:</strong> <code style="font-size: 0.8em; background: #edf2f7; padding: 2px 6px; border-radius: 4px;">${accessToken}</code></p>
                                 <p style="margin: 8px 0; font-size: 0.9em;"><strong>Accounts:</strong> ${accountCount}</p>
@@ -889,10 +1070,13 @@ document.addEventListener('DOMContentLoaded', function() {
                                 ` : ''}
 
                                 <div style="margin-top: 15px; display: flex; gap: 10px; flex-wrap: wrap;">
-                                    <button class="connect-btn" onclick="loadPlaidConnection('${conn.access_token}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, #00d4aa, #00a896); flex: 1; min-width: 150px;">
+                                    <button class="connect-btn" onclick="loadPlaidConnection('${conn.id}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, #00d4aa, #00a896); flex: 1; min-width: 150px;">
                                         🔄 Load Connection
                                     </button>
-                                    <button class="connect-btn" onclick="removePlaidItem('${conn.access_token}', '${conn.item_id}', '${conn.institution_name || 'Unknown Bank'}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, #f56565, #c53030); flex: 1; min-width: 150px;">
+                                    <button class="connect-btn" onclick="reconnectPlaidItem('${conn.id}', '${conn.institution_name || 'Unknown Bank'}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, ${conn.needs_reauth ? '#f6ad55, #dd6b20' : '#a0aec0, #718096'}); flex: 1; min-width: 150px;">
+                                        🔁 Reconnect
+                                    </button>
+                                    <button class="connect-btn" onclick="removePlaidItem('${conn.id}', '${conn.item_id}', '${conn.institution_name || 'Unknown Bank'}')" style="padding: 10px 20px; font-size: 0.9em; background: linear-gradient(135deg, #f56565, #c53030); flex: 1; min-width: 150px;">
                                         🗑️ Disconnect
                                     </button>
                                 </div>
@@ -926,19 +1110,10 @@ document.addEventListener('DOMContentLoaded', function() {
                 // Fetch accounts with balances for each connection
                 for (const conn of connections) {
                     const institutionName = conn.institution_name || 'Unknown Bank';
-                    const accessToken = conn.access_token;
 
                     try {
                         // Fetch live account data with balances from Plaid API
-                        const accountsResponse = await fetch('http://localhost:8000/api/plaid/balances', {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                                access_token: accessToken
-                            })
-                        });
+                        const accountsResponse = await fetch(plaidConnectionUrl('/balances', conn.id));
 
                         const accountsData = await accountsResponse.json();
 
@@ -957,9 +1132,9 @@ document.addEventListener('DOMContentLoaded', function() {
                                         : 'N/A';
                                     const accountId = account.account_id || '';
 
-                                    // Store access_token as value (Plaid API requirement)
+                                    // Store the saved connection ID as value (token stays on the server)
                                     // Display: Account Name - Type - Balance
-                                    options += `<option value="${accessToken}" data-account-id="${accountId}">`;
+                                    options += `<option value="${conn.id}" data-account-id="${accountId}">`;
                                     options += `${accountName} (${accountType}) - ${balance}`;
                                     options += `</option>`;
                                     totalAccounts++;
@@ -1089,7 +1264,7 @@ document.addEventListener('DOMContentLoaded', function() {
     /**
      * Remove/Disconnect Plaid Item
      */
-    async function removePlaidItem(accessToken, itemId, institutionName) {
+    async function removePlaidItem(connectionId, itemId, institutionName) {
         if (!confirm(`Are you sure you want to disconnect "${institutionName}"?\n\nThis will permanently remove the connection and invalidate the access token.`)) {
             return;
         }
@@ -1097,14 +1272,8 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('🗑️ Removing Plaid Item:', itemId);
 
         try {
-            const response = await fetch('http://localhost:8000/api/plaid/remove-item', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    access_token: accessToken
-                })
+            const response = await fetch(plaidConnectionUrl('', connectionId), {
+                method: 'DELETE'
             });
 
             const data = await response.json();
@@ -1128,6 +1297,78 @@ document.addEventListener('DOMContentLoaded', function() {
     // Make removePlaidItem globally accessible for onclick handlers
     window.removePlaidItem = removePlaidItem;
 
+    /**
+     * Re-authenticate a saved Item with Plaid Link update mode
+     */
+    async function reconnectPlaidItem(connectionId, institutionName) {
+        console.log('🔁 Reconnecting Plaid Item:', connectionId);
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/link-token', connectionId), {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.link_token) {
+                throw new Error(data.error || 'Failed to create update-mode link token');
+            }
+
+            if (typeof Plaid === 'undefined') {
+                throw new Error('Plaid Link SDK not loaded');
+            }
+
+            savePlaidLinkSession(data.link_token, {
+                mode: 'update',
+                expiration: data.expiration,
+                connectionId: connectionId,
+                institutionName: institutionName
+            });
+
+            // No public token to exchange in update mode: the existing access token keeps working
+            plaidHandler = Plaid.create({
+                token: data.link_token,
+                onSuccess: async () => {
+                    removeWhiteOverlay();
+                    clearPlaidLinkSession();
+                    try {
+                        await confirmPlaidReconnect(connectionId);
+                        alert(`✅ "${institutionName}" is reconnected!`);
+                    } catch (error) {
+                        console.error('❌ Error confirming reconnection:', error);
+                        alert(`❌ Reconnect did not complete: ${error.message}`);
+                    }
+                    listAllPlaidConnections();
+                },
+                onExit: (err) => {
+                    removeWhiteOverlay();
+                    clearPlaidLinkSession();
+                    if (err) {
+                        console.error('❌ Update mode exited with error:', err);
+                        alert(`❌ Reconnect failed: ${err.error_message || err.display_message || 'Unknown error'}`);
+                    }
+                },
+                onEvent: handlePlaidEvent
+            });
+
+            const whiteOverlay = document.createElement('div');
+            whiteOverlay.className = 'plaid-white-overlay';
+            whiteOverlay.id = 'plaidWhiteOverlay';
+            document.body.appendChild(whiteOverlay);
+            setTimeout(() => {
+                whiteOverlay.classList.add('active');
+            }, 10);
+
+            plaidHandler.open();
+
+        } catch (error) {
+            console.error('❌ Error reconnecting item:', error);
+            alert(`❌ Failed to reconnect: ${error.message}`);
+        }
+    }
+
+    // Make reconnectPlaidItem globally accessible for onclick handlers
+    window.reconnectPlaidItem = reconnectPlaidItem;
+
     /**
      * Open Plaid Link with Manual Link Token
      */
@@ -1170,6 +1411,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
             // Store the link token
             plaidLinkToken = linkToken;
+            savePlaidLinkSession(linkToken, { userId: userId || null });
 
             // Store user ID for later use
             if (userId) {
@@ -1354,10 +1596,15 @@ document.addEventListener('DOMContentLoaded', function() {
                 backend: 'POST /api/plaid/exchange-token',
                 description: 'Exchanges public_token for permanent access_token',
                 requestParams: {
-                    public_token: 'string (required) - Temporary token from Plaid Link'
+                    public_token: 'string (required) - Temporary token from Plaid Link',
+                    user_id: 'string (optional) - Your user identifier',
+                    institution_id: 'string (optional) - From Link metadata',
+                    institution_name: 'string (optional) - From Link metadata',
+                    accounts: 'array (optional) - From Link metadata'
                 },
                 backendRequest: {
-                    public_token: 'public-sandbox-xyz...'
+                    public_token: 'public-sandbox-xyz...',
+                    user_id: 'user_123'
                 },
                 plaidRequest: {
                     client_id: 'your_client_id',
@@ -1369,18 +1616,16 @@ document.addEventListener('DOMContentLoaded', function() {
                     item_id: 'item-xyz',
                     request_id: 'req123'
                 },
-                notes: 'Exchange public_token immediately after Plaid Link success. Public token is single-use.'
+                notes: 'Exchange public_token immediately after Plaid Link success. Public token is single-use. The backend stores the access_token (encrypted) and returns only connection_id, item_id and a masked token.'
             },
             'Get Accounts': {
                 endpoint: 'POST /accounts/get',
-                backend: 'POST /api/plaid/accounts',
+                backend: 'GET /api/plaid/connections/:id/accounts',
                 description: 'Retrieves all accounts for an Item',
                 requestParams: {
-                    access_token: 'string (required) - Access token from exchange'
-                },
-                backendRequest: {
-                    access_token: 'access-sandbox-abc123...'
+                    id: 'string (required, path) - connection_id from exchange'
                 },
+                backendRequest: {},
                 plaidRequest: {
                     client_id: 'your_client_id',
                     secret: 'your_secret',
@@ -1403,14 +1648,14 @@ document.addEventListener('DOMContentLoaded', function() {
             },
             'Get Balances': {
                 endpoint: 'POST /accounts/balance/get',
-                backend: 'POST /api/plaid/balances',
+                backend: 'GET /api/plaid/connections/:id/balances',
                 description: 'Retrieves real-time balance information',
                 requestParams: {
-                    access_token: 'string (required) - Access token from exchange'
-                },
-                backendRequest: {
-                    access_token: 'access-sandbox-abc123...'
+                    id: 'string (required, path) - connection_id from exchange',
+                    account_ids: 'string (optional, query) - Comma-separated account IDs',
+                    min_last_updated_datetime: 'string (optional, query) - ISO 8601 date-time'
                 },
+                backendRequest: {},
                 plaidRequest: {
                     client_id: 'your_client_id',
                     secret: 'your_secret',
@@ -1433,15 +1678,14 @@ document.addEventListener('DOMContentLoaded', function() {
             },
             'Get Transactions': {
                 endpoint: 'POST /transactions/get',
-                backend: 'POST /api/plaid/transactions',
+                backend: 'GET /api/plaid/connections/:id/transactions',
                 description: 'Retrieves transactions for a date range',
                 requestParams: {
-                    access_token: 'string (required) - Access token',
-                    start_date: 'string (required) - YYYY-MM-DD format',
-                    end_date: 'string (required) - YYYY-MM-DD format'
+                    id: 'string (required, path) - connection_id from exchange',
+                    start_date: 'string (optional, query) - YYYY-MM-DD format, default 30 days ago',
+                    end_date: 'string (optional, query) - YYYY-MM-DD format, default today'
                 },
                 backendRequest: {
-                    access_token: 'access-sandbox-abc123...',
                     start_date: '2025-01-01',
                     end_date: '2025-01-31'
                 },
@@ -1470,14 +1714,12 @@ document.addEventListener('DOMContentLoaded', function() {
             },
             'Get Auth (Account Numbers)': {
                 endpoint: 'POST /auth/get',
-                backend: 'POST /api/plaid/auth',
+                backend: 'GET /api/plaid/connections/:id/auth',
                 description: 'Retrieves account and routing numbers',
                 requestParams: {
-                    access_token: 'string (required) - Access token'
-                },
-                backendRequest: {
-                    access_token: 'access-sandbox-abc123...'
+                    id: 'string (required, path) - connection_id from exchange'
                 },
+                backendRequest: {},
                 plaidRequest: {
                     client_id: 'your_client_id',
                     secret: 'your_secret',
@@ -1715,9 +1957,9 @@ document.addEventListener('DOMContentLoaded', function() {
     async function fetchPlaidBalances() {
         console.log('💰 Fetching Plaid Balances with filters...');
 
-        const accessToken = plaidAccessToken || localStorage.getItem('plaid_access_token');
+        const balancesUrl = plaidConnectionUrl('/balances');
 
-        if (!accessToken) {
+        if (!balancesUrl) {
             alert('Please connect a bank account first');
             return;
         }
@@ -1738,35 +1980,22 @@ document.addEventListener('DOMContentLoaded', function() {
             const minLastUpdatedInput = document.getElementById('minLastUpdatedDatetime');
             const minLastUpdatedDatetime = minLastUpdatedInput.value ? new Date(minLastUpdatedInput.value).toISOString() : null;
 
-            // Build request options
-            const requestBody = {
-                access_token: accessToken
-            };
+            // Build filter options as query parameters
+            const params = new URLSearchParams();
 
-            // Add options if filters are set
-            if (selectedAccountIds.length > 0 || minLastUpdatedDatetime) {
-                requestBody.options = {};
-
-                if (selectedAccountIds.length > 0) {
-                    requestBody.options.account_ids = selectedAccountIds;
-                    console.log(`🔍 Filtering ${selectedAccountIds.length} account(s)`);
-                }
+            if (selectedAccountIds.length > 0) {
+                params.set('account_ids', selectedAccountIds.join(','));
+                console.log(`🔍 Filtering ${selectedAccountIds.length} account(s)`);
+            }
 
-                if (minLastUpdatedDatetime) {
-                    requestBody.options.min_last_updated_datetime = minLastUpdatedDatetime;
-                    console.log(`📅 Min update time: ${minLastUpdatedDatetime}`);
-                }
+            if (minLastUpdatedDatetime) {
+                params.set('min_last_updated_datetime', minLastUpdatedDatetime);
+                console.log(`📅 Min update time: ${minLastUpdatedDatetime}`);
             }
 
-            console.log('📤 Request:', requestBody);
+            console.log('📤 Request:', params.toString() || '(no filters)');
 
-            const response = await fetch('http://localhost:8000/api/plaid/balances', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+            const response = await fetch(params.toString() ? `${balancesUrl}?${params}` : balancesUrl);
 
             const data = await response.json();
 
@@ -1876,13 +2105,463 @@ document.addEventListener('DOMContentLoaded', function() {
         fetchPlaidBalancesBtn.addEventListener('click', fetchPlaidBalances);
     }
 
+    /**
+     * Format an amount in its currency (USD when Plaid does not say)
+     */
+    function formatPlaidMoney(amount, currency) {
+        if (amount === null || amount === undefined) {
+            return 'N/A';
+        }
+        return amount.toLocaleString('en-US', { style: 'currency', currency: currency || 'USD' });
+    }
+
+    /**
+     * Group holdings by security: quantity, cost basis and value summed across accounts
+     */
+    function groupHoldingsBySecurity(holdings, securities) {
+        const securitiesById = new Map(securities.map(security => [security.security_id, security]));
+        const groups = new Map();
+
+        for (const holding of holdings) {
+            if (!groups.has(holding.security_id)) {
+                groups.set(holding.security_id, {
+                    security: securitiesById.get(holding.security_id) || { name: 'Unknown security' },
+                    currency: holding.iso_currency_code,
+                    quantity: 0,
+                    cost_basis: 0,
+                    has_cost_basis: true,
+                    value: 0,
+                    accounts: new Set()
+                });
+            }
+
+            const group = groups.get(holding.security_id);
+            group.quantity += holding.quantity || 0;
+            group.value += holding.institution_value || 0;
+            // Cost basis (and so gain/loss) is only meaningful if every lot reports one
+            if (holding.cost_basis === null || holding.cost_basis === undefined) {
+                group.has_cost_basis = false;
+            } else {
+                group.cost_basis += holding.cost_basis;
+            }
+            group.accounts.add(holding.account_id);
+        }
+
+        return [...groups.values()].sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Fetch Plaid Investment Holdings
+     */
+    async function fetchPlaidHoldings() {
+        console.log('📈 Fetching Plaid Holdings...');
+
+        const fetchHoldingsBtn = document.getElementById('fetchPlaidHoldingsBtn');
+        const holdingsList = document.getElementById('plaidHoldingsList');
+
+        fetchHoldingsBtn.disabled = true;
+        fetchHoldingsBtn.textContent = '⏳ Loading Holdings...';
+        holdingsList.innerHTML = '<p>Loading holdings...</p>';
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/investments/holdings'));
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                throw new Error(data.error || 'Failed to fetch holdings');
+            }
+
+            console.log('📈 Holdings Data:', data);
+
+            const groups = groupHoldingsBySecurity(data.holdings || [], data.securities || []);
+            if (groups.length === 0) {
+                holdingsList.innerHTML = '<p style="color: #ed8936;">⚠️ No holdings found</p>';
+            } else {
+                const totalValue = groups.reduce((sum, group) => sum + group.value, 0);
+                let html = `
+                    <h3>✅ ${groups.length} securit${groups.length === 1 ? 'y' : 'ies'} · Total value ${formatPlaidMoney(totalValue, groups[0].currency)}</h3>
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+                        <thead>
+                            <tr style="background: #edf2f7; text-align: left;">
+                                <th style="padding: 8px;">Security</th>
+                                <th style="padding: 8px; text-align: right;">Quantity</th>
+                                <th style="padding: 8px; text-align: right;">Cost Basis</th>
+                                <th style="padding: 8px; text-align: right;">Value</th>
+                                <th style="padding: 8px; text-align: right;">Gain / Loss</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+
+                for (const group of groups) {
+                    const { security } = group;
+                    const gain = group.has_cost_basis ? group.value - group.cost_basis : null;
+                    const gainColor = gain === null ? '#718096' : gain >= 0 ? '#38a169' : '#e53e3e';
+
+                    html += `
+                        <tr style="border-bottom: 1px solid #e2e8f0;">
+                            <td style="padding: 8px;">
+                                <strong>${security.ticker_symbol || security.name}</strong>
+                                ${security.ticker_symbol ? `<br><small style="color: #718096;">${security.name}</small>` : ''}
+                                <br><small style="color: #718096;">${security.type || 'other'} · ${group.accounts.size} account${group.accounts.size === 1 ? '' : 's'}</small>
+                            </td>
+                            <td style="padding: 8px; text-align: right;">${group.quantity.toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+                            <td style="padding: 8px; text-align: right;">${group.has_cost_basis ? formatPlaidMoney(group.cost_basis, group.currency) : 'N/A'}</td>
+                            <td style="padding: 8px; text-align: right;">${formatPlaidMoney(group.value, group.currency)}</td>
+                            <td style="padding: 8px; text-align: right; color: ${gainColor};">${gain === null ? 'N/A' : formatPlaidMoney(gain, group.currency)}</td>
+                        </tr>
+                    `;
+                }
+
+                html += '</tbody></table>';
+                holdingsList.innerHTML = html;
+            }
+
+        } catch (error) {
+            console.error('❌ Error fetching holdings:', error);
+            holdingsList.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+        }
+
+        fetchHoldingsBtn.disabled = false;
+        fetchHoldingsBtn.textContent = '📈 Fetch Holdings';
+    }
+
+    /**
+     * Fetch Plaid Investment Transactions (last 30 days)
+     */
+    async function fetchPlaidInvestmentTransactions() {
+        console.log('📜 Fetching Plaid Investment Transactions...');
+
+        const fetchBtn = document.getElementById('fetchPlaidInvestmentTransactionsBtn');
+        const transactionsList = document.getElementById('plaidInvestmentTransactionsList');
+
+        fetchBtn.disabled = true;
+        fetchBtn.textContent = '⏳ Loading Transactions...';
+        transactionsList.innerHTML = '<p>Loading investment transactions...</p>';
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/investments/transactions?count=100'));
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                throw new Error(data.error || 'Failed to fetch investment transactions');
+            }
+
+            console.log('📜 Investment Transactions Data:', data);
+
+            const securitiesById = new Map((data.securities || []).map(security => [security.security_id, security]));
+            const transactions = data.investment_transactions || [];
+
+            let html = `<h3>📜 ${transactions.length} of ${data.total_investment_transactions || transactions.length} investment transactions</h3>`;
+            for (const txn of transactions) {
+                const security = securitiesById.get(txn.security_id);
+                html += `
+                    <div style="border-bottom: 1px solid #e2e8f0; padding: 10px 0;">
+                        <p style="margin: 3px 0;"><strong>${txn.name || txn.type}</strong> ${security ? `· ${security.ticker_symbol || security.name}` : ''}</p>
+                        <p style="margin: 3px 0; font-size: 0.9em;">
+                            ${txn.type}${txn.subtype ? ' / ' + txn.subtype : ''} ·
+                            ${txn.quantity ? `${txn.quantity} @ ${formatPlaidMoney(txn.price, txn.iso_currency_code)} · ` : ''}
+                            <strong>${formatPlaidMoney(txn.amount, txn.iso_currency_code)}</strong>
+                        </p>
+                        <p style="margin: 3px 0; font-size: 0.85em; color: #718096;">Date: ${txn.date}</p>
+                    </div>
+                `;
+            }
+            transactionsList.innerHTML = transactions.length > 0 ? html : '<p style="color: #10b981;">✅ No investment transactions in the last 30 days</p>';
+
+        } catch (error) {
+            console.error('❌ Error fetching investment transactions:', error);
+            transactionsList.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+        }
+
+        fetchBtn.disabled = false;
+        fetchBtn.textContent = '📜 Investment Transactions (30 days)';
+    }
+
+    // Attach event listeners for investments
+    const fetchPlaidHoldingsBtn = document.getElementById('fetchPlaidHoldingsBtn');
+    if (fetchPlaidHoldingsBtn) {
+        fetchPlaidHoldingsBtn.addEventListener('click', fetchPlaidHoldings);
+    }
+
+    const fetchPlaidInvestmentTransactionsBtn = document.getElementById('fetchPlaidInvestmentTransactionsBtn');
+    if (fetchPlaidInvestmentTransactionsBtn) {
+        fetchPlaidInvestmentTransactionsBtn.addEventListener('click', fetchPlaidInvestmentTransactions);
+    }
+
+    /**
+     * One liability account: name, balance and the fields that matter for repayment
+     */
+    function renderLiability(account, rows) {
+        const currency = account?.balances?.iso_currency_code;
+        return `
+            <div style="background: #f7fafc; padding: 15px; border-radius: 10px; margin: 10px 0; border-left: 4px solid #f5576c;">
+                <h4 style="margin-top: 0;">${account?.name || 'Account'} ${account?.mask ? `(****${account.mask})` : ''}</h4>
+                <p style="margin: 5px 0;"><strong>Balance:</strong> ${formatPlaidMoney(account?.balances?.current, currency)}</p>
+                ${rows.filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([label, value]) => `<p style="margin: 5px 0;"><strong>${label}:</strong> ${value}</p>`)
+                    .join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Fetch Plaid Liabilities (credit cards, student loans, mortgages)
+     */
+    async function fetchPlaidLiabilities() {
+        console.log('💳 Fetching Plaid Liabilities...');
+
+        const fetchLiabilitiesBtn = document.getElementById('fetchPlaidLiabilitiesBtn');
+        const liabilitiesList = document.getElementById('plaidLiabilitiesList');
+
+        fetchLiabilitiesBtn.disabled = true;
+        fetchLiabilitiesBtn.textContent = '⏳ Loading Liabilities...';
+        liabilitiesList.innerHTML = '<p>Loading liabilities...</p>';
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/liabilities'));
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                throw new Error(data.error || 'Failed to fetch liabilities');
+            }
+
+            console.log('💳 Liabilities Data:', data);
+
+            const accountsById = new Map((data.accounts || []).map(account => [account.account_id, account]));
+            const { credit = [], student = [], mortgage = [] } = data.liabilities || {};
+            const money = (amount, accountId) => amount === null || amount === undefined
+                ? null
+                : formatPlaidMoney(amount, accountsById.get(accountId)?.balances?.iso_currency_code);
+            const percent = value => value === null || value === undefined ? null : `${value}%`;
+            let html = '';
+
+            if (credit.length > 0) {
+                html += '<h3>💳 Credit Cards</h3>';
+                for (const card of credit) {
+                    const aprs = (card.aprs || [])
+                        .map(apr => `${apr.apr_percentage}% ${(apr.apr_type || '').replace(/_/g, ' ')}`)
+                        .join(', ');
+                    html += renderLiability(accountsById.get(card.account_id), [
+                        ['APRs', aprs],
+                        ['Minimum payment', money(card.minimum_payment_amount, card.account_id)],
+                        ['Next due date', card.next_payment_due_date],
+                        ['Last statement balance', money(card.last_statement_balance, card.account_id)],
+                        ['Overdue', card.is_overdue ? '⚠️ Yes' : null]
+                    ]);
+                }
+            }
+
+            if (student.length > 0) {
+                html += '<h3>🎓 Student Loans</h3>';
+                for (const loan of student) {
+                    html += renderLiability(accountsById.get(loan.account_id), [
+                        ['Loan', loan.loan_name],
+                        ['Interest rate', percent(loan.interest_rate_percentage)],
+                        ['Minimum payment', money(loan.minimum_payment_amount, loan.account_id)],
+                        ['Next due date', loan.next_payment_due_date],
+                        ['Outstanding interest', money(loan.outstanding_interest_amount, loan.account_id)],
+                        ['Status', loan.loan_status?.type]
+                    ]);
+                }
+            }
+
+            if (mortgage.length > 0) {
+                html += '<h3>🏠 Mortgages</h3>';
+                for (const loan of mortgage) {
+                    html += renderLiability(accountsById.get(loan.account_id), [
+                        ['Interest rate', loan.interest_rate ? `${percent(loan.interest_rate.percentage)} ${loan.interest_rate.type || ''}` : null],
+                        ['Monthly payment', money(loan.next_monthly_payment, loan.account_id)],
+                        ['Next due date', loan.next_payment_due_date],
+                        ['Maturity date', loan.maturity_date],
+                        ['Past due', loan.past_due_amount ? money(loan.past_due_amount, loan.account_id) : null]
+                    ]);
+                }
+            }
+
+            liabilitiesList.innerHTML = html || '<p style="color: #ed8936;">⚠️ No credit, student loan or mortgage accounts found</p>';
+
+        } catch (error) {
+            console.error('❌ Error fetching liabilities:', error);
+            liabilitiesList.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+        }
+
+        fetchLiabilitiesBtn.disabled = false;
+        fetchLiabilitiesBtn.textContent = '💳 Fetch Liabilities';
+    }
+
+    // Attach event listener for liabilities
+    const fetchPlaidLiabilitiesBtn = document.getElementById('fetchPlaidLiabilitiesBtn');
+    if (fetchPlaidLiabilitiesBtn) {
+        fetchPlaidLiabilitiesBtn.addEventListener('click', fetchPlaidLiabilities);
+    }
+
+    /**
+     * Fetch Plaid Identity (owners of each account)
+     */
+    async function fetchPlaidIdentity() {
+        console.log('🪪 Fetching Plaid Identity...');
+
+        const fetchIdentityBtn = document.getElementById('fetchPlaidIdentityBtn');
+        const identityList = document.getElementById('plaidIdentityList');
+
+        fetchIdentityBtn.disabled = true;
+        fetchIdentityBtn.textContent = '⏳ Loading Owners...';
+        identityList.innerHTML = '<p>Loading account owners...</p>';
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/identity'));
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                throw new Error(data.error || 'Failed to fetch identity');
+            }
+
+            console.log('🪪 Identity Data:', data);
+
+            const accounts = data.accounts || [];
+            let html = `<h3>✅ Owners for ${accounts.length} account${accounts.length === 1 ? '' : 's'}</h3>`;
+
+            for (const account of accounts) {
+                html += `
+                    <div style="background: #f7fafc; padding: 20px; border-radius: 10px; margin: 15px 0; border-left: 4px solid #667eea;">
+                        <h4 style="margin-top: 0;">💳 ${account.name || 'Account'} ${account.mask ? `(****${account.mask})` : ''}</h4>
+                `;
+
+                for (const owner of account.owners || []) {
+                    const names = (owner.names || []).join(', ') || 'N/A';
+                    const emails = (owner.emails || []).map(email => `${email.data}${email.primary ? ' ⭐' : ''}`).join(', ') || 'N/A';
+                    const phones = (owner.phone_numbers || []).map(phone => `${phone.data} (${phone.type || 'phone'})`).join(', ') || 'N/A';
+                    const addresses = (owner.addresses || []).map(address => {
+                        const { street, city, region, postal_code, country } = address.data || {};
+                        return [street, city, region, postal_code, country].filter(Boolean).join(', ') + (address.primary ? ' ⭐' : '');
+                    });
+
+                    html += `
+                        <div style="background: white; padding: 12px; border-radius: 8px; margin-top: 10px;">
+                            <p style="margin: 5px 0;"><strong>👤 Names:</strong> ${names}</p>
+                            <p style="margin: 5px 0;"><strong>📧 Emails:</strong> ${emails}</p>
+                            <p style="margin: 5px 0;"><strong>📞 Phones:</strong> ${phones}</p>
+                            <p style="margin: 5px 0;"><strong>🏠 Addresses:</strong> ${addresses.length > 0 ? addresses.join('<br>') : 'N/A'}</p>
+                        </div>
+                    `;
+                }
+
+                html += '</div>';
+            }
+
+            identityList.innerHTML = html;
+
+        } catch (error) {
+            console.error('❌ Error fetching identity:', error);
+            identityList.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+        }
+
+        fetchIdentityBtn.disabled = false;
+        fetchIdentityBtn.textContent = '🪪 Fetch Account Owners';
+    }
+
+    /**
+     * Colour a 0-100 identity match score
+     */
+    function formatMatchScore(label, result) {
+        if (!result || result.score === undefined || result.score === null) {
+            return '';
+        }
+
+        const color = result.score >= 80 ? '#38a169' : result.score >= 50 ? '#dd6b20' : '#e53e3e';
+        return `
+            <div style="display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #edf2f7;">
+                <span>${label}</span>
+                <strong style="color: ${color};">${result.score} / 100</strong>
+            </div>
+        `;
+    }
+
+    /**
+     * Match user-supplied details against the account owners
+     */
+    async function matchPlaidIdentity() {
+        console.log('🎯 Matching Plaid Identity...');
+
+        const matchBtn = document.getElementById('matchPlaidIdentityBtn');
+        const matchDiv = document.getElementById('plaidIdentityMatch');
+        const value = id => document.getElementById(id).value.trim();
+
+        const body = {
+            legal_name: value('identityLegalName'),
+            email_address: value('identityEmail'),
+            phone_number: value('identityPhone'),
+            address: {
+                street: value('identityStreet'),
+                city: value('identityCity'),
+                region: value('identityRegion'),
+                postal_code: value('identityPostalCode'),
+                country: value('identityCountry')
+            }
+        };
+
+        matchBtn.disabled = true;
+        matchBtn.textContent = '⏳ Matching...';
+        matchDiv.innerHTML = '<p>Scoring details against the bank records...</p>';
+
+        try {
+            const response = await fetch(plaidConnectionUrl('/identity/match'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                throw new Error(data.error || 'Failed to match identity');
+            }
+
+            console.log('🎯 Identity Match Data:', data);
+
+            let html = '';
+            for (const account of data.accounts || []) {
+                html += `
+                    <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #00d4aa;">
+                        <h4 style="margin-top: 0;">💳 ${account.name || 'Account'} ${account.mask ? `(****${account.mask})` : ''}</h4>
+                        ${formatMatchScore('👤 Legal name', account.legal_name)}
+                        ${formatMatchScore('📧 Email', account.email_address)}
+                        ${formatMatchScore('📞 Phone', account.phone_number)}
+                        ${formatMatchScore('🏠 Address', account.address)}
+                        ${account.legal_name?.is_nickname_match ? '<p style="margin: 8px 0 0 0; font-size: 0.85em; color: #718096;">Name matched via a nickname</p>' : ''}
+                        ${account.address?.is_postal_code_match ? '<p style="margin: 8px 0 0 0; font-size: 0.85em; color: #718096;">Postal code matches</p>' : ''}
+                    </div>
+                `;
+            }
+            matchDiv.innerHTML = html || '<p style="color: #ed8936;">⚠️ No accounts scored</p>';
+
+        } catch (error) {
+            console.error('❌ Error matching identity:', error);
+            matchDiv.innerHTML = '<p style="color: #f56565;">❌ Error: ' + error.message + '</p>';
+        }
+
+        matchBtn.disabled = false;
+        matchBtn.textContent = '🎯 Check Match';
+    }
+
+    // Attach event listeners for identity
+    const fetchPlaidIdentityBtn = document.getElementById('fetchPlaidIdentityBtn');
+    if (fetchPlaidIdentityBtn) {
+        fetchPlaidIdentityBtn.addEventListener('click', fetchPlaidIdentity);
+    }
+
+    const matchPlaidIdentityBtn = document.getElementById('matchPlaidIdentityBtn');
+    if (matchPlaidIdentityBtn) {
+        matchPlaidIdentityBtn.addEventListener('click', matchPlaidIdentity);
+    }
+
     /**
      * Populate Transaction Dropdown
      * Called after fetching accounts to populate the transaction creation dropdown
      */
-    function populateTransactionDropdown(accounts, accessToken, institutionId = null) {
+    function populateTransactionDropdown(accounts, connectionId, institutionId = null) {
         const transactionSelect = document.getElementById('transactionConnectionSelect');
-        if (!transactionSelect || !accounts || accounts.length === 0) {
+        if (!transactionSelect || !connectionId || !accounts || accounts.length === 0) {
             return;
         }
 
@@ -1908,9 +2587,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 : 'N/A';
             const accountId = account.account_id || '';
 
-            // Store access_token as value (Plaid API requirement)
+            // Store the saved connection ID as value (token stays on the server)
             // Display: Account Name - Type - Balance
-            options += `<option value="${accessToken}" data-account-id="${accountId}">`;
+            options += `<option value="${connectionId}" data-account-id="${accountId}">`;
             options += `${accountName} (${accountType}) - ${balance}`;
             options += `</option>`;
         }
@@ -1966,7 +2645,7 @@ document.addEventListener('DOMContentLoaded', function() {
         resultsDiv.style.display = 'block';
 
         try {
-            const accessToken = connectionSelect.value;
+            const connectionId = connectionSelect.value;
             const selectedOption = connectionSelect.options[connectionSelect.selectedIndex];
             const accountId = selectedOption.getAttribute('data-account-id');
             const accountDisplay = selectedOption.text;
@@ -1985,13 +2664,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 type: amount >= 0 ? 'deposit' : 'withdrawal'
             });
 
-            const response = await fetch('http://localhost:8000/api/plaid/create-transaction', {
+            const response = await fetch(plaidConnectionUrl('/sandbox/transactions', connectionId), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    access_token: accessToken,
                     amount: amount,
                     name: name,
                     description: description,
@@ -2115,12 +2793,13 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Load a Plaid connection (Global function)
  */
-function loadPlaidConnection(accessToken) {
+function loadPlaidConnection(connectionId) {
     console.log('🔄 Loading Plaid connection...');
 
-    // Store in global variables and localStorage
-    plaidAccessToken = accessToken;
-    localStorage.setItem('plaid_access_token', accessToken);
+    // Store in global variables and localStorage (the access token stays on the server)
+    plaidConnectionId = connectionId;
+    localStorage.setItem('plaid_connection_id', connectionId);
+    localStorage.removeItem('plaid_access_token');
 
     // Enable fetch accounts button
     const fetchPlaidAccountsBtn = document.getElementById('fetchPlaidAccountsBtn');
@@ -2142,27 +2821,28 @@ function loadPlaidConnection(accessToken) {
 
 /**
  * Fetch Plaid Transactions for Account (Global function)
+ * Syncs the server-side ledger first, so only changes since the last sync are downloaded
  */
-async function fetchPlaidTransactionsFor(accountId, accessToken) {
+async function fetchPlaidTransactionsFor(accountId) {
     const container = document.getElementById(`plaid-account-data-${accountId}`);
-    container.innerHTML = '<p>⏳ Loading transactions...</p>';
+    container.innerHTML = '<p>⏳ Syncing transactions...</p>';
 
     try {
-        // Get transactions for last 30 days
-        const endDate = new Date().toISOString().split('T')[0];
-        const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-        const response = await fetch('http://localhost:8000/api/plaid/transactions', {
+        const syncResponse = await fetch(plaidConnectionUrl('/transactions/sync'), {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                access_token: accessToken,
-                start_date: startDate,
-                end_date: endDate
-            })
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
         });
+        const sync = await syncResponse.json();
+
+        if (!syncResponse.ok || sync.error) {
+            throw new Error(sync.error || 'Failed to sync transactions');
+        }
+
+        console.log('🔄 Transactions Sync:', sync);
+
+        const params = new URLSearchParams({ account_id: accountId });
+        const response = await fetch(plaidConnectionUrl(`/transactions/stored?${params}`));
 
         const data = await response.json();
 
@@ -2172,11 +2852,11 @@ async function fetchPlaidTransactionsFor(accountId, accessToken) {
 
         console.log('📋 Transactions Data:', data);
 
-        const transactions = data.transactions || [];
-        const accountTransactions = transactions.filter(txn => txn.account_id === accountId);
+        const accountTransactions = data.transactions || [];
 
         let html = '<div style="background: #fff5f5; padding: 15px; border-radius: 8px; margin-top: 10px; max-height: 400px; overflow-y: auto;">';
         html += '<h5 style="margin-top: 0; color: #00d4aa;">📋 Recent Transactions</h5>';
+        html += `<p style="margin: 5px 0; font-size: 0.85em; color: #718096;">Synced ${new Date(sync.synced_at).toLocaleString()}: ${sync.added} added, ${sync.modified} modified, ${sync.removed} removed</p>`;
 
         if (accountTransactions.length > 0) {
             for (const txn of accountTransactions.slice(0, 10)) {
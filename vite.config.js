@@ -3,6 +3,10 @@ import { defineConfig } from 'vite';
 export default defineConfig({
   server: {
     port: 8000,
+    fs: {
+      // Vite's defaults plus the storage directories (data lives in var/ unless STORAGE_DATA_DIR moves it)
+      deny: ['.env', '.env.*', '*.{crt,pem}', '**/var/**', '**/data/**', '**/connections/*.json', '**/plaid-connections/*.json', '**/wallet-connections/*.json', '**/webhooks/*.json']
+    },
     proxy: {
       // Proxy all API requests to backend server on port 3000
       '/api': {